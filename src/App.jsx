@@ -1,5 +1,17 @@
 import React, {  useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import './index.css';
+import { ChessUtils } from './chessUtils.js';
+import { PgnWriter } from './pgnWriter.js';
+import { BoardDiagram } from './boardDiagram.js';
+import { GifEncoder } from './gifEncoder.js';
+import { GameJson } from './gameJson.js';
+import { DeepLink } from './deepLink.js';
+import { AnalysisUtils } from './analysisUtils.js';
+import { GameTree } from './gameTree.js';
+import { PIECE_SYMBOLS, NAG_GLYPHS } from './glyphs.js';
+import { arraysEqual, flattenSeq, getMove, isValidPath, getLine } from './movePaths.js';
+import { NagGlyphs, MoveSequence } from './MoveSequence.jsx';
+import { BoardSquare, BoardAnnotations } from './Board.jsx';
 
 /**
  * Premium Chess PGN Viewer with Advanced UI/UX
@@ -11,392 +23,61 @@ import './index.css';
  * - Fully responsive design
  */
 
-export const PIECE_SYMBOLS = {
-  K: '/pieces/wK.svg', Q: '/pieces/wQ.svg', R: '/pieces/wR.svg',
-  B: '/pieces/wB.svg', N: '/pieces/wN.svg', P: '/pieces/wP.svg',
-  k: '/pieces/bK.svg', q: '/pieces/bQ.svg', r: '/pieces/bR.svg',
-  b: '/pieces/bB.svg', n: '/pieces/bN.svg', p: '/pieces/bP.svg'
-};
-
-// Enhanced chess utilities with better move execution
-const ChessUtils = {
-  initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-
-  positionToBoard(position) {
-    const rows = position.split('/');
-    const board = Array(8).fill().map(() => Array(8).fill(null));
-    rows.forEach((row, r) => {
-      let c = 0;
-      for (const ch of row) {
-        if (/\d/.test(ch)) c += parseInt(ch);
-        else board[r][c++] = ch;
-      }
-    });
-    return board;
-  },
-
-  fenToBoard(fen) {
-    if (!fen) fen = this.initialFen;
-    const [position] = fen.split(' ');
-    return this.positionToBoard(position);
-  },
-  
-
-  boardToPosition(board) {
-    const rows = board.map(row => {
-      let empty = 0, fen = '';
-      row.forEach(cell => {
-        if (!cell) empty++;
-        else {
-          if (empty) fen += empty;
-          fen += cell;
-          empty = 0;
-        }
-      });
-      if (empty) fen += empty;
-      return fen;
-    });
-    return rows.join('/');
-  },
-  boardToFen(board, active = 'w', castling = '-', enpass = '-', half = 0, full = 1) {
-  const position = this.boardToPosition(board);
-  return `${position} ${active} ${castling} ${enpass} ${half} ${full}`;
-},
-
-  fenToState(fen) {
-    const [position, active, castling, enpass, half, full] = fen.split(' ');
-    return {
-      board: this.positionToBoard(position),
-      active,
-      castling: castling === '-' ? '' : castling,
-      enpass: enpass === '-' ? '' : enpass,
-      halfmove: parseInt(half || 0),
-      fullmove: parseInt(full || 1),
-    };
-  },
-
-  stateToFen(state) {
-    return [
-      this.boardToPosition(state.board),
-      state.active,
-      state.castling || '-',
-      state.enpass || '-',
-      state.halfmove,
-      state.fullmove,
-    ].join(' ');
-  },
-
-  isOpponent(piece, isWhite) {
-    if (!piece) return false;
-    const pieceWhite = piece === piece.toUpperCase();
-    return pieceWhite !== isWhite;
-  },
-  executeMove(state, moveObj) {
-    try {
-      let { board, active, castling, enpass, halfmove, fullmove } = state;
-      const san = (moveObj?.san || moveObj?.move || '').trim();
-      const isWhite = moveObj?.isWhite === true;
-      if (!san) return state;
-
-      let newBoard = board.map(r => [...r]);
-      let newCastling = castling;
-      let newEnpass = '-';
-      let newHalfmove = halfmove + 1;
-      let newFullmove = fullmove;
-      let newActive = isWhite ? 'b' : 'w';
-
-      if (san === 'O-O' || san === '0-0') {
-        const row = isWhite ? 7 : 0;
-        const K = isWhite ? 'K' : 'k';
-        const R = isWhite ? 'R' : 'r';
-        newBoard[row][4] = null; newBoard[row][6] = K; newBoard[row][7] = null; newBoard[row][5] = R;
-        newCastling = newCastling.replace(isWhite ? /[KQ]/g : /[kq]/g, '');
-        if (newCastling === '') newCastling = '-';
-      } else if (san === 'O-O-O' || san === '0-0-0') {
-        const row = isWhite ? 7 : 0;
-        const K = isWhite ? 'K' : 'k';
-        const R = isWhite ? 'R' : 'r';
-        newBoard[row][4] = null; newBoard[row][2] = K; newBoard[row][0] = null; newBoard[row][3] = R;
-        newCastling = newCastling.replace(isWhite ? /[KQ]/g : /[kq]/g, '');
-        if (newCastling === '') newCastling = '-';
-      } else {
-        const m = san.match(/^([KQRNB])?([a-h])?([1-8])?(x)?([a-h])([1-8])(=([QRNB]))?[+#]?$/);
-        if (!m) return state;
-
-        const [, pieceType, sourceFile, sourceRank, capture, targetFile, targetRank, , promotion] = m;
-        const base = pieceType || 'P';
-        const piece = isWhite ? base.toUpperCase() : base.toLowerCase();
-        const tCol = targetFile.charCodeAt(0) - 97;
-        const tRow = 8 - parseInt(targetRank);
-
-        const potentials = [];
-        let epCol = -1, epRank = -1;
-        if (enpass && enpass !== '-') {
-          epCol = enpass.charCodeAt(0) - 97;
-          epRank = 8 - parseInt(enpass[1]);
-        }
-
-        for (let r = 0; r < 8; r++) {
-          for (let c = 0; c < 8; c++) {
-            if (newBoard[r][c] !== piece) continue;
-            if (sourceFile && sourceFile !== String.fromCharCode(97 + c)) continue;
-            if (sourceRank && sourceRank !== '' + (8 - r)) continue;
-
-            const dr = tRow - r, dc = tCol - c;
-            const ar = Math.abs(dr), ac = Math.abs(dc);
-            const tgt = newBoard[tRow][tCol];
-            let valid = false;
-
-            if (base === 'P') {
-              const dir = isWhite ? -1 : 1;
-              const fwd = dc === 0 && !tgt;
-              const single = dr === dir && fwd;
-              const double = dr === dir * 2 && fwd && !newBoard[r + dir][c] && (isWhite ? r === 6 : r === 1);
-              const normalCap = ac === 1 && dr === dir && tgt && this.isOpponent(tgt, isWhite);
-              const epCap = ac === 1 && dr === dir && !tgt && tRow === epRank && tCol === epCol;
-              valid = single || double || normalCap || epCap;
-            } else {
-              if (base === 'N') valid = (ar === 2 && ac === 1) || (ar === 1 && ac === 2);
-              else if (base === 'B') {
-                if (ar !== ac) valid = false;
-                else {
-                  const sr = dr > 0 ? 1 : -1, sc = dc > 0 ? 1 : -1;
-                  for (let d = 1; d < ar; d++) if (newBoard[r + d * sr][c + d * sc]) { valid = false; break; }
-                  valid = true;
-                }
-              } else if (base === 'R') {
-                if (dr !== 0 && dc !== 0) valid = false;
-                else {
-                  const sr = dr ? (dr > 0 ? 1 : -1) : 0, sc = dc ? (dc > 0 ? 1 : -1) : 0;
-                  const steps = Math.max(ar, ac);
-                  for (let d = 1; d < steps; d++) if (newBoard[r + d * sr][c + d * sc]) { valid = false; break; }
-                  valid = true;
-                }
-              } else if (base === 'Q') {
-                const isDiag = ar === ac;
-                const isStraight = dr === 0 || dc === 0;
-                if (!isDiag && !isStraight) valid = false;
-                else {
-                  const sr = dr ? (dr > 0 ? 1 : -1) : 0, sc = dc ? (dc > 0 ? 1 : -1) : 0;
-                  const steps = Math.max(ar, ac);
-                  for (let d = 1; d < steps; d++) if (newBoard[r + d * sr][c + d * sc]) { valid = false; break; }
-                  valid = true;
-                }
-              } else if (base === 'K') valid = ar <= 1 && ac <= 1;
-            }
-
-            if (valid) {
-              valid = capture ? (tgt && this.isOpponent(tgt, isWhite)) || (base === 'P' && !tgt && ac === 1 && dr === (isWhite ? -1 : 1) && tRow === epRank && tCol === epCol) : !tgt;
-            }
+// Files above this size are parsed in a worker instead of the textarea
+const STREAM_PARSE_THRESHOLD = 1024 * 1024;
 
-            if (valid) potentials.push([r, c]);
-          }
-        }
-
-        if (!potentials.length) return state;
+// Problems listed before the panel truncates
+const MAX_LISTED_PROBLEMS = 200;
 
-        const [sRow, sCol] = potentials[0];
+// Game cards rendered per "Show more" step in the collection
+const COLLECTION_PAGE_SIZE = 60;
 
-        const captured = newBoard[tRow][tCol];
+// Undo steps kept for structured game edits
+const MAX_HISTORY = 100;
+const EMPTY_HISTORY = { past: [], future: [] };
 
-        newBoard[tRow][tCol] = newBoard[sRow][sCol];
-        newBoard[sRow][sCol] = null;
+// NAGs asking for a diagram after the move in printed reports
+const DIAGRAM_NAGS = [220, 221];
 
-        if (promotion) newBoard[tRow][tCol] = isWhite ? promotion.toUpperCase() : promotion.toLowerCase();
+// Annotation palette; a move carries at most one NAG from each exclusive group
+const NAG_PALETTE = [
+  { label: 'Move', nags: [1, 2, 3, 4, 5, 6], exclusive: true },
+  { label: 'Position', nags: [10, 13, 14, 15, 16, 17, 18, 19], exclusive: true },
+  { label: 'Other', nags: [7, 140, 146, 220], exclusive: false },
+];
 
-        if (base === 'P' && capture && !captured && enpass !== '-') {
-          const capRow = isWhite ? tRow + 1 : tRow - 1;
-          newBoard[capRow][tCol] = null;
-        }
-
-        if (base === 'P' && Math.abs(sRow - tRow) === 2) {
-          const epFile = String.fromCharCode(97 + sCol);
-          const epR = isWhite ? '3' : '6';
-          newEnpass = epFile + epR;
-        }
-
-        if (base === 'K') {
-          newCastling = newCastling.replace(isWhite ? /[KQ]/g : /[kq]/g, '');
-        } else if (base === 'R') {
-          if (isWhite) {
-            if (sRow === 7 && sCol === 0) newCastling = newCastling.replace('Q', '');
-            if (sRow === 7 && sCol === 7) newCastling = newCastling.replace('K', '');
-          } else {
-            if (sRow === 0 && sCol === 0) newCastling = newCastling.replace('q', '');
-            if (sRow === 0 && sCol === 7) newCastling = newCastling.replace('k', '');
-          }
-        }
-
-        if (base === 'P' || capture) newHalfmove = 0;
-
-        if (!isWhite) newFullmove++;
-      }
-
-      if (newCastling === '') newCastling = '-';
-
-      return {
-        board: newBoard,
-        active: newActive,
-        castling: newCastling,
-        enpass: newEnpass,
-        halfmove: newHalfmove,
-        fullmove: newFullmove,
-      };
-    } catch (e) {
-      console.error('executeMove:', e);
-      return state;
-    }
-  },
-
-  parsePGN(pgnText) {
-    if (!pgnText?.trim()) return [];
-
-    const rawGames = pgnText.replace(/\r/g, '')
-      .split(/\n{2,}(?=\[Event\s)/g)
-      .map(s => s.trim())
-      .filter(s => s && (s.includes('[Event') || /\d+\./.test(s)));
-
-    const result = [];
-
-    for (const raw of rawGames) {
-      try {
-        const lines = raw.split('\n');
-        const headers = {};
-        let moveText = [], inHeaders = true;
-
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (!trimmed) continue;
-          if (inHeaders && trimmed.startsWith('[')) {
-            const m = trimmed.match(/^\[(\w+)\s+"([^"]*)"\]$/);
-            if (m) headers[m[1]] = m[2];
-            continue;
-          }
-          inHeaders = false;
-          moveText.push(trimmed);
-        }
-
-        const movesString = moveText.join(' ');
-        const rawTokens = movesString
-          .split(/(\{[^}]*\}|\(|\)|\d+\.\.\.|\d+\.|\s+)/)
-          .filter(t => t && t.trim());
-
-        const moves = [];
-        const sequenceStack = [moves];
-        let comment = '';
-        let expectingBlack = false;
-        let moveNumber = 1;
-
-        for (let tok of rawTokens) {
-          tok = tok.trim();
-          if (!tok) continue;
-
-          if (tok.startsWith('{') && tok.endsWith('}')) {
-            comment = tok.slice(1, -1).trim();
-            continue;
-          }
-
-          if (tok === '(') {
-            sequenceStack.push([]);
-            continue;
-          }
-
-          if (tok === ')') {
-            const finished = sequenceStack.pop();
-            const currentSeq = sequenceStack[sequenceStack.length - 1];
-            const last = currentSeq[currentSeq.length - 1];
-            if (last) {
-              last.variations = last.variations || [];
-              last.variations.push(finished);
-            }
-            continue;
-          }
-
-          const numMatch = tok.match(/^(\d+)(\.\.\.)?\.?$/);
-          if (numMatch) {
-            moveNumber = parseInt(numMatch[1], 10);
-            expectingBlack = !!numMatch[2];
-            continue;
-          }
-
-          const sanRegex = /^[KQRNB]?[a-h]?[1-8]?(x)?[a-h][1-8](=[QRNB])?[+#]?$|^O-O(-O)?$|^0-0(-0)?$/;
-          if (sanRegex.test(tok)) {
-            const isWhite = !expectingBlack;
-            const moveObj = {
-              number: isWhite ? moveNumber : moveNumber + 0.5,
-              move: tok,
-              san: tok,
-              isWhite,
-              comment: comment || ''
-            };
-            sequenceStack[sequenceStack.length - 1].push(moveObj);
-            expectingBlack = !expectingBlack;
-            if (!isWhite) moveNumber++;
-            comment = '';
-            continue;
-          }
-        }
-
-        let startFen = this.initialFen;
-        if (headers.FEN && (headers.SetUp === '1' || headers.SetUp === 'true')) {
-          startFen = headers.FEN.trim();
-        }
-
-        const startState = this.fenToState(startFen);
-
-        const deepCopy = (st) => ({
-          ...st,
-          board: st.board.map(r => [...r])
-        });
-
-        const processSequence = (seq, currentState) => {
-          return seq.map((m) => {
-            const beforeState = deepCopy(currentState);
-            const newState = this.executeMove(currentState, m);
-            const updatedM = { ...m, fenAfter: this.stateToFen(newState) };
-            currentState = newState; // Update for next move
-            if (updatedM.variations) {
-              updatedM.variations = updatedM.variations.map(v => processSequence(v, beforeState));
-            }
-            return updatedM;
-          });
-        };
-
-        const movesWithFen = processSequence(moves, startState);
-
-        if (movesWithFen.length || Object.keys(headers).length) {
-          result.push({ headers, moves: movesWithFen, initialFen: startFen });
-        }
-      } catch (err) {
-        console.error('PGN parse error:', err);
-      }
-    }
-
-    return result;
-  }
+// Add or remove a NAG, replacing any other NAG from its exclusive group
+const toggleNag = (nags, nag) => {
+  if (nags.includes(nag)) return nags.filter(n => n !== nag);
+  const group = NAG_PALETTE.find(g => g.exclusive && g.nags.includes(nag));
+  return [...nags.filter(n => !group?.nags.includes(n)), nag].sort((a, b) => a - b);
 };
 
 /* -------------------------
    Enhanced Helper Components
    ------------------------- */
 
-function arraysEqual(a, b) {
-  if (a.length !== b.length) return false;
-  return a.every((v, i) => v === b[i]);
-}
+// Save text as a file through a temporary download link
+const downloadFile = (content, filename, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
 
-// Move flattening function - moved outside components
-const flattenSeq = (seq, prefix = []) => {
-  let out = [];
-  seq.forEach((m, i) => {
-    out.push([...prefix, i]);
-    if (m.variations) {
-      m.variations.forEach((v, j) => {
-        out.push(...flattenSeq(v, [...prefix, i, j]));
-      });
-    }
-  });
-  return out;
+// Player names and events reduced to a safe file name
+const toFileName = (name) => name.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+
+// Problems and game source spans of PGN text, for keeping text and games in step after an edit
+const readSource = (text) => {
+  const diagnostics = [];
+  const ranges = [];
+  ChessUtils.parsePGN(text, { diagnostics, ranges });
+  return { text, ranges, diagnostics };
 };
 
 // Simple evaluation function for fallback analysis
@@ -413,159 +94,70 @@ const performSimpleEval = (fen) => {
   };
 };
 
-// Enhanced Professional MoveSequence inspired by Lichess
-const MoveSequence = React.memo(({ seq, pathPrefix = [], depth = 0, currentPath, onSelect, isInline = false }) => {
-  const elements = [];
-  let i = 0;
-  while (i < seq.length) {
-    const whiteIndex = i;
-    const whiteMove = seq[i];
-    const whitePath = [...pathPrefix, whiteIndex];
-    const isWhiteActive = arraysEqual(whitePath, currentPath);
-
-    i++;
-    let blackMove = null;
-    let blackPath = null;
-    let isBlackActive = false;
-    let blackIndex = -1;
-    if (i < seq.length && !seq[i].isWhite) {
-      blackIndex = i;
-      blackMove = seq[i];
-      blackPath = [...pathPrefix, blackIndex];
-      isBlackActive = arraysEqual(blackPath, currentPath);
-      i++;
-    }
-
-    const Container = isInline ? 'span' : 'div';
-    const containerClass = isInline ? 'inline-flex items-center gap-1 mr-1' : 'flex items-center gap-1 sm:gap-2 py-0.5';
-
-    elements.push(
-      <Container key={whiteMove.number} className={containerClass}>
-        {!isInline && (
-          <span className="move-number flex-shrink-0 text-xs font-medium text-slate-300 w-6 text-right">
-            {Math.floor(whiteMove.number)}.
-          </span>
-        )}
-
-        <button
-          onClick={() => onSelect(whitePath)}
-          className={`px-1 sm:px-2 py-0.5 rounded text-xs font-medium transition-all ${
-            isWhiteActive ? 'bg-blue-600 text-white shadow' : 'hover:bg-slate-600/50 text-slate-200'
-          } ${depth > 0 ? 'text-slate-400' : ''}`}
-        >
-          {whiteMove.san}
-        </button>
-
-        {whiteMove.comment && (
-          <span className={`text-xs italic ${depth > 0 ? 'text-slate-500' : 'text-slate-400'} mr-1`}>
-            {whiteMove.comment}
-          </span>
-        )}
-
-        {whiteMove.variations && whiteMove.variations.map((v, j) => (
-          <span key={j} className="inline-flex items-center gap-1 text-slate-400">
-            <span>(</span>
-            <MoveSequence
-              seq={v}
-              pathPrefix={[...whitePath, j]}
-              depth={depth + 1}
-              currentPath={currentPath}
-              onSelect={onSelect}
-              isInline={true}
-            />
-            <span>)</span>
-          </span>
-        ))}
-
-        {blackMove && (
-          <button
-            onClick={() => onSelect(blackPath)}
-            className={`px-1 sm:px-2 py-0.5 rounded text-xs font-medium transition-all ${
-              isBlackActive ? 'bg-blue-600 text-white shadow' : 'hover:bg-slate-600/50 text-slate-200'
-            } ${depth > 0 ? 'text-slate-400' : ''}`}
-          >
-            {blackMove.san}
-          </button>
-        )}
-
-        {blackMove && blackMove.comment && (
-          <span className={`text-xs italic ${depth > 0 ? 'text-slate-500' : 'text-slate-400'} mr-1`}>
-            {blackMove.comment}
-          </span>
-        )}
-
-        {blackMove && blackMove.variations && blackMove.variations.map((v, j) => (
-          <span key={j} className="inline-flex items-center gap-1 text-slate-400">
-            <span>(</span>
-            <MoveSequence
-              seq={v}
-              pathPrefix={[...blackPath, j]}
-              depth={depth + 1}
-              currentPath={currentPath}
-              onSelect={onSelect}
-              isInline={true}
-            />
-            <span>)</span>
-          </span>
-        ))}
-      </Container>
-    );
-  }
+// Glyph buttons for attaching NAGs to the current move
+const NagPalette = ({ nags = [], onToggle }) => (
+  <div className="space-y-2">
+    {NAG_PALETTE.map(group => (
+      <div key={group.label} className="flex items-center gap-2">
+        <span className="w-14 flex-shrink-0 text-xs text-slate-400">{group.label}</span>
+        <div className="flex flex-wrap gap-1">
+          {group.nags.map(nag => (
+            <button
+              key={nag}
+              onClick={() => onToggle(nag)}
+              title={NAG_GLYPHS[nag].title}
+              className={`min-w-7 px-1.5 py-0.5 rounded text-xs font-bold transition-colors ${
+                nags.includes(nag) ? 'bg-blue-600 text-white' : `bg-slate-700/60 hover:bg-slate-600 ${NAG_GLYPHS[nag].className}`
+              }`}
+            >
+              {NAG_GLYPHS[nag].glyph}
+            </button>
+          ))}
+        </div>
+      </div>
+    ))}
+  </div>
+);
 
-  const Wrapper = isInline ? 'span' : 'div';
-  return <Wrapper className={isInline ? 'inline-flex gap-1' : 'space-y-1'}>{elements}</Wrapper>;
-});
+// Form for the comments before and after a move; the text after it includes its
+// [%cal]/[%csl]/[%clk] commands, and empty text removes a comment
+const CommentEditor = ({ move, onSave, onCancel }) => {
+  const [before, setBefore] = useState(move.commentBefore || '');
+  const [after, setAfter] = useState(() => ChessUtils.formatComment(move));
+  const fieldClass = 'w-full p-2 bg-slate-900/60 border border-slate-600 rounded-lg text-xs sm:text-sm text-slate-200 resize-y focus:outline-none focus:border-blue-500';
 
-// Enhanced Board Square with larger mobile sizing
-const BoardSquare = React.memo(({ piece, isLight, fileLabel, rankLabel, row, col, flipped, onSquareClick }) => {
-  const [isHovered, setIsHovered] = useState(false);
-  
   return (
     <div
-      onMouseEnter={() => setIsHovered(true)}
-      onMouseLeave={() => setIsHovered(false)}
-      onClick={() => onSquareClick?.(row, col)}
-      className={`
-        relative flex items-center justify-center 
-        w-10 h-10 xs:w-12 xs:h-12 sm:w-14 sm:h-14 md:w-16 md:h-16 lg:w-18 lg:h-18 xl:w-20 xl:h-20
-        transition-all duration-200 transform
-        ${isLight 
-          ? 'bg-amber-100 hover:bg-amber-200' 
-          : 'bg-slate-600 hover:bg-slate-500'
-        }
-        ${isHovered ? 'scale-105 z-10 shadow-lg' : 'scale-100'}
-        border border-slate-300/30
-        cursor-pointer
-      `}
+      className="space-y-2"
+      onKeyDown={(ev) => {
+        if (ev.key === 'Escape') onCancel();
+        if (ev.key === 'Enter' && (ev.ctrlKey || ev.metaKey)) onSave(before, after);
+      }}
     >
-      {/* Coordinate labels */}
-      {row === (flipped ? 0 : 7) && (
-        <span className="absolute bottom-1 right-1 text-[10px] xs:text-xs font-bold text-slate-700 opacity-70">
-          {fileLabel}
-        </span>
-      )}
-      {col === (flipped ? 7 : 0) && (
-        <span className="absolute top-1 left-1 text-[10px] xs:text-xs font-bold text-slate-700 opacity-70">
-          {rankLabel}
-        </span>
-      )}
-      
-      {/* Hover highlight */}
-      {isHovered && (
-        <div className="absolute inset-0 bg-yellow-400/20 rounded pointer-events-none"></div>
-      )}
-      
-      {piece && (
-        <img
-          src={PIECE_SYMBOLS[piece]}
-          alt={piece}
-          className="w-8 h-8 xs:w-10 xs:h-10 sm:w-12 sm:h-12 md:w-14 md:h-14 lg:w-16 lg:h-16 xl:w-18 xl:h-18 drop-shadow-lg transition-transform duration-200 hover:scale-110 select-none"
-          draggable="false"
-        />
-      )}
+      <label className="block text-xs text-slate-400">
+        Before the move
+        <textarea value={before} onChange={e => setBefore(e.target.value)} rows={2} className={`${fieldClass} mt-1`} />
+      </label>
+      <label className="block text-xs text-slate-400">
+        After the move
+        <textarea value={after} onChange={e => setAfter(e.target.value)} rows={4} className={`${fieldClass} mt-1`} autoFocus />
+      </label>
+      <div className="flex gap-2">
+        <button onClick={() => onSave(before, after)} className="px-3 py-1.5 bg-blue-600 hover:bg-blue-500 text-white rounded-lg text-xs font-medium transition-colors">
+          Save
+        </button>
+        <button onClick={onCancel} className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg text-xs font-medium transition-colors">
+          Cancel
+        </button>
+        {(move.commentBefore || ChessUtils.formatComment(move)) && (
+          <button onClick={() => onSave('', '')} className="ml-auto px-3 py-1.5 bg-red-600/80 hover:bg-red-500 text-white rounded-lg text-xs font-medium transition-colors">
+            Delete
+          </button>
+        )}
+      </div>
     </div>
   );
-});
+};
 
 // Timeline Scrubber Component
 const TimelineScrubber = ({ moves, currentPath, onSelect, className }) => {
@@ -605,6 +197,654 @@ const TimelineScrubber = ({ moves, currentPath, onSelect, className }) => {
   );
 };
 
+// Progress of a streamed (worker) parse with a cancel action
+const ParseProgress = ({ progress, onCancel }) => {
+  const percent = progress.total ? Math.round((progress.loaded / progress.total) * 100) : 0;
+  return (
+    <div className="bg-slate-800/40 rounded-xl sm:rounded-2xl p-3 sm:p-4 shadow-xl border border-slate-700/50 backdrop-blur-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-xs sm:text-sm font-medium text-slate-300 truncate mr-2">
+          Parsing {progress.fileName}
+        </span>
+        <button
+          onClick={onCancel}
+          className="px-2 py-1 text-xs bg-red-500/70 hover:bg-red-400/70 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+      <div className="relative h-2 bg-slate-700 rounded-full overflow-hidden">
+        <div
+          className="absolute top-0 left-0 h-full bg-gradient-to-r from-blue-500 to-purple-500 rounded-full transition-all duration-300"
+          style={{ width: `${percent}%` }}
+        ></div>
+      </div>
+      <div className="flex justify-between mt-1 sm:mt-2 text-xs text-slate-400">
+        <span>{progress.gameCount} games</span>
+        <span>{percent}%</span>
+      </div>
+    </div>
+  );
+};
+
+// Parse problems list; selecting one jumps to the game and failing move
+const ProblemsPanel = ({ diagnostics, onSelect }) => {
+  const [expanded, setExpanded] = useState(true);
+  const shown = diagnostics.slice(0, MAX_LISTED_PROBLEMS);
+  const gameCount = new Set(diagnostics.map(d => d.gameIndex)).size;
+
+  return (
+    <div className="bg-slate-800/40 rounded-xl sm:rounded-2xl p-3 sm:p-4 shadow-xl border border-red-500/30 backdrop-blur-sm">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between"
+      >
+        <h3 className="text-base sm:text-lg font-semibold text-red-300 flex items-center gap-2">
+          <span>⚠️</span>
+          Problems
+          <span className="text-xs text-slate-400 bg-slate-700/50 px-2 py-1 rounded-full ml-2">
+            {diagnostics.length} in {gameCount} {gameCount === 1 ? 'game' : 'games'}
+          </span>
+        </h3>
+        <span className="text-slate-400 text-xs">{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && (
+        <div className="mt-3 space-y-1 max-h-48 sm:max-h-64 overflow-y-auto custom-scrollbar pr-2">
+          {shown.map((d, idx) => (
+            <button
+              key={idx}
+              onClick={() => onSelect(d)}
+              className="w-full text-left bg-slate-700/30 hover:bg-slate-600/50 rounded-lg px-2 py-1.5 border border-slate-600/50 transition-colors"
+            >
+              <div className="flex items-center justify-between text-xs">
+                <span className="font-medium text-red-300">{d.reason}</span>
+                <span className="text-slate-400">Game {d.gameIndex + 1} · {d.line}:{d.column}</span>
+              </div>
+              {d.token && (
+                <code className="text-xs text-slate-300 font-mono truncate block">{d.token}</code>
+              )}
+            </button>
+          ))}
+          {diagnostics.length > shown.length && (
+            <p className="text-xs text-slate-500 text-center pt-1">
+              +{diagnostics.length - shown.length} more
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Player name and remaining clock shown above / below the board
+const PlayerClock = ({ name, seconds, isWhite, active }) => (
+  <div className="flex items-center justify-between gap-3 px-2 sm:px-3 py-1.5 sm:py-2">
+    <div className="flex items-center gap-2 min-w-0">
+      <div className={`w-3 h-3 rounded-full border border-slate-500 ${isWhite ? 'bg-white' : 'bg-slate-900'}`}></div>
+      <span className="text-xs sm:text-sm font-medium text-slate-200 truncate">{name}</span>
+    </div>
+    <div className={`font-mono text-sm sm:text-base font-bold px-2 sm:px-3 py-0.5 sm:py-1 rounded-lg transition-colors ${
+      active ? 'bg-blue-600 text-white shadow' : 'bg-slate-700/50 text-slate-300'
+    }`}>
+      {seconds != null ? ChessUtils.formatClock(seconds) : '--:--'}
+    </div>
+  </div>
+);
+
+// Per-move time spent: white bars above the axis, black bars below
+const TimeUsageChart = ({ entries, currentPath, onSelect, className }) => {
+  const maxSpent = Math.max(1, ...entries.map(e => e.spent || 0));
+  const barWidth = 100 / Math.max(entries.length, 1);
+
+  return (
+    <div className={`bg-slate-800/50 rounded-xl sm:rounded-2xl p-3 sm:p-4 ${className}`}>
+      <div className="flex items-center justify-between mb-2 sm:mb-3">
+        <span className="text-xs sm:text-sm font-medium text-slate-300">Time Usage</span>
+        <span className="text-xs text-slate-400">max {ChessUtils.formatClock(maxSpent)}</span>
+      </div>
+
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-16 sm:h-20">
+        <line x1="0" y1="20" x2="100" y2="20" stroke="#475569" strokeWidth="0.3" />
+        {entries.map((e, i) => {
+          if (!e.spent) return null;
+          const h = (e.spent / maxSpent) * 19;
+          const isCurrent = arraysEqual(e.path, currentPath);
+          return (
+            <rect
+              key={i}
+              x={i * barWidth + barWidth * 0.1}
+              y={e.move.isWhite ? 20 - h : 20}
+              width={barWidth * 0.8}
+              height={h}
+              className="cursor-pointer"
+              fill={isCurrent ? '#3b82f6' : e.move.isWhite ? '#e2e8f0' : '#64748b'}
+              onClick={() => onSelect(e.path)}
+            >
+              <title>{`${Math.floor(e.move.number)}${e.move.isWhite ? '.' : '...'} ${e.move.san}: ${ChessUtils.formatClock(e.spent)}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+// Printable report of a game: headers, annotated movetext and diagrams at bookmarked or $220/$221 moves
+const GameReport = ({ game, bookmarkedPaths, onClose }) => {
+  const headers = game.headers || {};
+  const result = headers.Result || game.result || '*';
+  const extraTags = Object.entries(headers).filter(([tag]) =>
+    !['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result', 'SetUp', 'FEN'].includes(tag));
+
+  const wantsDiagram = (move, path) =>
+    bookmarkedPaths.has(path.join(',')) || move.nags?.some(nag => DIAGRAM_NAGS.includes(nag));
+
+  const diagram = (fen, key, caption, flipped = false) => {
+    const board = ChessUtils.fenToBoard(fen);
+    const svg = BoardDiagram.renderSvg(flipped ? BoardDiagram.rotate(board) : board, {
+      size: 240,
+      flipped,
+      sideToMove: ChessUtils.fenToState(fen).active,
+      pieces: PIECE_SYMBOLS,
+    });
+    return (
+      <figure key={key} className="my-4 flex flex-col items-center break-inside-avoid">
+        <div dangerouslySetInnerHTML={{ __html: svg }} />
+        <figcaption className="mt-1 text-xs text-slate-500">{caption}</figcaption>
+      </figure>
+    );
+  };
+
+  const moveDiagram = (move, path) => diagram(
+    move.fenAfter,
+    `d${path.join('-')}`,
+    `after ${Math.floor(move.number)}${move.isWhite ? '.' : '...'} ${move.san}`,
+    move.nags?.includes(221)
+  );
+
+  // Inline text for one move; returns whether the next black move needs "N..."
+  const moveText = (out, move, path, needNumber, depth) => {
+    const key = path.join('-');
+    if (move.commentBefore) {
+      out.push(<span key={`cb${key}`} className="italic text-slate-600"> {move.commentBefore}</span>);
+      needNumber = true;
+    }
+    const number = Math.floor(move.number);
+    const glyphs = (move.nags || [])
+      .filter(nag => !DIAGRAM_NAGS.includes(nag))
+      .map(nag => NAG_GLYPHS[nag]?.glyph || `$${nag}`)
+      .join('');
+    out.push(
+      <span key={`m${key}`} className={depth ? '' : 'font-semibold'}>
+        {' '}{move.isWhite ? `${number}. ` : needNumber ? `${number}... ` : ''}{move.san}{glyphs}
+      </span>
+    );
+    needNumber = false;
+    if (move.comment) {
+      out.push(<span key={`c${key}`} className="italic text-slate-600"> {move.comment}</span>);
+      needNumber = true;
+    }
+    (move.variations || []).forEach((variation, j) => {
+      out.push(
+        <span key={`v${key}-${j}`} className="text-slate-600">
+          {' ('}{lineText(variation, [...path, j], depth + 1)}{')'}
+        </span>
+      );
+      needNumber = true;
+    });
+    return needNumber;
+  };
+
+  const lineText = (seq, prefix, depth) => {
+    const out = [];
+    let needNumber = true;
+    seq.forEach((move, i) => {
+      needNumber = moveText(out, move, [...prefix, i], needNumber, depth);
+    });
+    return out;
+  };
+
+  // Diagrams requested inside a move's variations, shown after that main-line move
+  const variationDiagrams = (move, path) => (move.variations || []).flatMap((variation, j) =>
+    variation.flatMap((m, k) => {
+      const p = [...path, j, k];
+      return [...(wantsDiagram(m, p) ? [moveDiagram(m, p)] : []), ...variationDiagrams(m, p)];
+    }));
+
+  // Main line split into paragraphs wherever diagrams are inserted
+  const blocks = [];
+  if (game.initialFen && game.initialFen !== ChessUtils.initialFen) {
+    blocks.push(diagram(game.initialFen, 'start', 'Starting position'));
+  }
+  let paragraph = [];
+  let needNumber = true;
+  (game.moves || []).forEach((move, i) => {
+    needNumber = moveText(paragraph, move, [i], needNumber, 0);
+    const diagrams = [...(wantsDiagram(move, [i]) ? [moveDiagram(move, [i])] : []), ...variationDiagrams(move, [i])];
+    if (diagrams.length) {
+      blocks.push(<p key={`p${i}`} className="leading-relaxed">{paragraph}</p>, ...diagrams);
+      paragraph = [];
+      needNumber = true;
+    }
+  });
+  paragraph.push(<span key="result" className="font-bold"> {result}</span>);
+  blocks.push(<p key="p-end" className="leading-relaxed">{paragraph}</p>);
+
+  return (
+    <div className="min-h-screen bg-slate-200 text-slate-900 py-8 print:bg-white print:py-0">
+      <div className="max-w-4xl mx-auto mb-4 flex justify-end gap-2 px-4 print:hidden">
+        <button
+          onClick={() => window.print()}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold"
+        >
+          🖨️ Print / Save as PDF
+        </button>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 bg-slate-600 hover:bg-slate-700 text-white rounded-lg font-semibold"
+        >
+          Close
+        </button>
+      </div>
+
+      <article className="max-w-4xl mx-auto bg-white shadow-xl rounded-lg p-8 sm:p-12 print:shadow-none print:rounded-none print:p-0 print:max-w-none">
+        <header className="border-b-2 border-slate-800 pb-4 mb-6 break-inside-avoid">
+          <h1 className="text-2xl font-bold">
+            {headers.White || '?'}{headers.WhiteElo ? ` (${headers.WhiteElo})` : ''}
+            {' – '}
+            {headers.Black || '?'}{headers.BlackElo ? ` (${headers.BlackElo})` : ''}
+            <span className="float-right">{result}</span>
+          </h1>
+          <p className="text-sm text-slate-600 mt-1">
+            {[headers.Event, headers.Site, headers.Date, headers.Round && `Round ${headers.Round}`]
+              .filter(v => v && v !== '?' && v !== '????.??.??')
+              .join(' · ')}
+          </p>
+          {extraTags.length > 0 && (
+            <dl className="mt-3 grid grid-cols-2 sm:grid-cols-3 gap-x-6 gap-y-1 text-xs text-slate-600">
+              {extraTags.map(([tag, value]) => (
+                <div key={tag} className="flex gap-2">
+                  <dt className="font-semibold">{tag}</dt>
+                  <dd className="truncate">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </header>
+
+        <div className="columns-1 md:columns-2 print:columns-2 gap-10 text-sm">
+          {blocks}
+        </div>
+      </article>
+    </div>
+  );
+};
+
+// Right-click menu for reshaping the move tree around one move
+const MoveContextMenu = ({ menu, moves, onAction, onClose }) => {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const onPointer = (ev) => {
+      if (!menuRef.current?.contains(ev.target)) onClose();
+    };
+    const onKey = (ev) => {
+      if (ev.key === 'Escape') onClose();
+    };
+    window.addEventListener('mousedown', onPointer);
+    window.addEventListener('keydown', onKey);
+    window.addEventListener('resize', onClose);
+    return () => {
+      window.removeEventListener('mousedown', onPointer);
+      window.removeEventListener('keydown', onKey);
+      window.removeEventListener('resize', onClose);
+    };
+  }, [onClose]);
+
+  if (!isValidPath(moves, menu.path)) return null;
+  const move = getMove(moves, menu.path);
+  const inVariation = menu.path.length > 1;
+  const actions = [
+    { id: 'promote', label: 'Promote variation', enabled: inVariation },
+    { id: 'demote', label: 'Demote line', enabled: GameTree.branchIndex(moves, menu.path) >= 0 },
+    { id: 'mainLine', label: 'Make main line', enabled: inVariation },
+    { id: 'deleteVariation', label: 'Delete variation', enabled: inVariation },
+    { id: 'deleteFrom', label: 'Delete from here', enabled: true },
+    { id: 'truncate', label: 'Truncate moves before', enabled: !move.illegal },
+  ].filter(action => action.enabled);
+
+  return (
+    <div
+      ref={menuRef}
+      style={{ left: Math.min(menu.x, window.innerWidth - 216), top: Math.min(menu.y, window.innerHeight - 40 - actions.length * 34) }}
+      className="fixed z-50 w-52 py-1 bg-slate-800 border border-slate-600 rounded-lg shadow-2xl text-sm"
+    >
+      <div className="px-3 py-1 mb-1 text-xs text-slate-400 border-b border-slate-700">
+        {Math.floor(move.number)}{move.isWhite ? '.' : '...'} {move.san}
+      </div>
+      {actions.map(action => (
+        <button
+          key={action.id}
+          onClick={() => onAction(action.id)}
+          className={`block w-full text-left px-3 py-1.5 hover:bg-slate-700 transition-colors ${
+            action.id.startsWith('delete') || action.id === 'truncate' ? 'text-red-300' : 'text-slate-200'
+          }`}
+        >
+          {action.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Every tag pair of a game, editable; a value is applied only once it passes validation
+const HeaderEditor = ({ headers, result, onChange }) => {
+  const [drafts, setDrafts] = useState({});
+  const [newTag, setNewTag] = useState({ name: '', value: '' });
+  const [addError, setAddError] = useState('');
+
+  const rosterTags = ChessUtils.SEVEN_TAG_ROSTER.map(([tag]) => tag);
+  const tags = [
+    ...rosterTags.filter(tag => Object.hasOwn(headers, tag)),
+    ...Object.keys(headers).filter(tag => !rosterTags.includes(tag)),
+  ];
+  const missingRoster = rosterTags.filter(tag => !Object.hasOwn(headers, tag));
+
+  const setDraft = (tag, value) => setDrafts(prev => ({ ...prev, [tag]: value }));
+  const dropDraft = (tag) => setDrafts(prev => {
+    const next = { ...prev };
+    delete next[tag];
+    return next;
+  });
+
+  const commit = (tag) => {
+    if (!Object.hasOwn(drafts, tag)) return;
+    const value = drafts[tag].trim();
+    if (ChessUtils.validateTag(tag, value)) return;
+    dropDraft(tag);
+    if (value !== headers[tag]) onChange({ ...headers, [tag]: value });
+  };
+
+  const remove = (tag) => {
+    const next = { ...headers };
+    delete next[tag];
+    dropDraft(tag);
+    onChange(next);
+  };
+
+  const add = () => {
+    const name = newTag.name.trim();
+    const value = newTag.value.trim();
+    const error = Object.hasOwn(headers, name) ? `${name} already exists`
+      : ChessUtils.SETUP_TAGS.includes(name) ? `${name} follows the game's starting position`
+      : ChessUtils.validateTag(name, value);
+    setAddError(error || '');
+    if (error) return;
+    onChange({ ...headers, [name]: value });
+    setNewTag({ name: '', value: '' });
+  };
+
+  // Missing Seven Tag Roster tags go first, with the standard placeholders
+  const fillTemplate = () => {
+    const roster = Object.fromEntries(ChessUtils.SEVEN_TAG_ROSTER.map(([tag, fallback]) => (
+      [tag, tag === 'Result' && ChessUtils.RESULTS.includes(result) ? result : fallback]
+    )));
+    onChange({ ...roster, ...headers });
+  };
+
+  const inputClass = 'min-w-0 px-2 py-1 bg-slate-900/60 border rounded text-xs sm:text-sm text-slate-200 focus:outline-none';
+
+  return (
+    <div className="space-y-2 sm:space-y-3">
+      {tags.map(tag => {
+        const locked = ChessUtils.SETUP_TAGS.includes(tag);
+        const drafted = Object.hasOwn(drafts, tag);
+        const value = drafted ? drafts[tag] : headers[tag];
+        const error = drafted ? ChessUtils.validateTag(tag, drafts[tag].trim()) : null;
+        return (
+          <div key={tag} className="py-1 border-b border-slate-700/30 last:border-b-0">
+            <div className="flex items-center gap-2">
+              <label htmlFor={`tag-${tag}`} className="w-24 flex-shrink-0 text-xs sm:text-sm text-slate-400 truncate" title={tag}>{tag}</label>
+              <input
+                id={`tag-${tag}`}
+                value={value}
+                readOnly={locked}
+                title={locked ? 'Follows the starting position' : undefined}
+                onChange={e => setDraft(tag, e.target.value)}
+                onBlur={() => commit(tag)}
+                onKeyDown={e => {
+                  if (e.key === 'Enter') commit(tag);
+                  if (e.key === 'Escape') dropDraft(tag);
+                }}
+                className={`${inputClass} flex-1 ${error ? 'border-red-500' : 'border-slate-600 focus:border-blue-500'} ${locked ? 'opacity-60' : ''}`}
+              />
+              {!locked && (
+                <button onClick={() => remove(tag)} className="px-1.5 text-slate-500 hover:text-red-400 transition-colors" title={`Remove ${tag}`}>
+                  ✕
+                </button>
+              )}
+            </div>
+            {error && <p className="mt-1 ml-26 text-xs text-red-400">{error}</p>}
+          </div>
+        );
+      })}
+
+      <div className="flex items-center gap-2 pt-1">
+        <input
+          value={newTag.name}
+          onChange={e => setNewTag(prev => ({ ...prev, name: e.target.value }))}
+          placeholder="Tag"
+          className={`${inputClass} w-24 flex-shrink-0 border-slate-600 focus:border-blue-500`}
+        />
+        <input
+          value={newTag.value}
+          onChange={e => setNewTag(prev => ({ ...prev, value: e.target.value }))}
+          onKeyDown={e => e.key === 'Enter' && add()}
+          placeholder="Value"
+          className={`${inputClass} flex-1 border-slate-600 focus:border-blue-500`}
+        />
+        <button onClick={add} className="px-2 py-1 bg-blue-600 hover:bg-blue-500 text-white rounded text-xs font-medium transition-colors">
+          Add
+        </button>
+      </div>
+      {addError && <p className="text-xs text-red-400">{addError}</p>}
+
+      {missingRoster.length > 0 && (
+        <button
+          onClick={fillTemplate}
+          className="w-full py-1.5 bg-slate-700/60 hover:bg-slate-600 text-slate-200 rounded-lg text-xs font-medium transition-colors"
+          title={`Add ${missingRoster.join(', ')}`}
+        >
+          Fill from template (Seven Tag Roster)
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Board editor for a custom starting position; the position starts a new game
+const BoardSetupEditor = ({ initialFen, flipped, onCreate, onCancel }) => {
+  const [setup, setSetup] = useState(() => ChessUtils.fenToState(initialFen));
+  // Piece placed by a click on the board; null erases
+  const [brush, setBrush] = useState('P');
+  const [fenDraft, setFenDraft] = useState(null);
+
+  const fen = ChessUtils.stateToFen(setup);
+  const problems = useMemo(() => ChessUtils.validatePosition(setup), [setup]);
+  const enPassantSquares = ChessUtils.enPassantSquares(setup);
+  const displayed = flipped ? setup.board.map((row, r) => row.map((_, c) => setup.board[7 - r][7 - c])) : setup.board;
+
+  const update = (changes) => setSetup(prev => ({ ...prev, ...changes }));
+
+  // Clicking a square with its own piece empties it
+  const placePiece = (row, col) => {
+    const [r, c] = flipped ? [7 - row, 7 - col] : [row, col];
+    setSetup(prev => {
+      const board = prev.board.map(rank => [...rank]);
+      board[r][c] = brush && board[r][c] !== brush ? brush : null;
+      return { ...prev, board };
+    });
+  };
+
+  // Standard rights in KQkq order; Shredder-FEN file letters from a loaded FEN are kept
+  const toggleCastling = (right) => {
+    const current = setup.castling || '';
+    const next = current.includes(right) ? current.replace(right, '') : current + right;
+    const order = 'KQkq';
+    const standard = order.split('').filter(r => next.includes(r)).join('');
+    update({ castling: standard + next.split('').filter(r => !order.includes(r)).join('') });
+  };
+
+  const applyFen = () => {
+    if (fenDraft === null) return;
+    if (!GameJson.isValidFen(fenDraft)) return;
+    setSetup(ChessUtils.fenToState(fenDraft.trim()));
+    setFenDraft(null);
+  };
+
+  const buttonClass = 'px-3 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-colors';
+
+  return (
+    <div className="bg-slate-800/40 rounded-2xl sm:rounded-3xl p-4 sm:p-6 shadow-2xl border border-slate-700/50 backdrop-blur-sm space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-base sm:text-lg font-semibold text-blue-300">Set up a position</h3>
+        <button onClick={onCancel} className={`${buttonClass} bg-slate-700/60 hover:bg-slate-600 text-slate-200`}>Cancel</button>
+      </div>
+
+      {/* Piece palette */}
+      <div className="flex flex-wrap justify-center gap-1">
+        {['K', 'Q', 'R', 'B', 'N', 'P', 'k', 'q', 'r', 'b', 'n', 'p'].map(piece => (
+          <button
+            key={piece}
+            onClick={() => setBrush(piece)}
+            className={`p-1 rounded-lg transition-colors ${brush === piece ? 'bg-blue-600 ring-2 ring-blue-400' : 'bg-slate-700/60 hover:bg-slate-600'}`}
+            title={`Place ${piece === piece.toUpperCase() ? 'white' : 'black'} ${{ k: 'king', q: 'queen', r: 'rook', b: 'bishop', n: 'knight', p: 'pawn' }[piece.toLowerCase()]}`}
+          >
+            <img src={PIECE_SYMBOLS[piece]} alt={piece} className="w-7 h-7 sm:w-9 sm:h-9" draggable="false" />
+          </button>
+        ))}
+        <button
+          onClick={() => setBrush(null)}
+          className={`px-2 rounded-lg text-lg transition-colors ${brush === null ? 'bg-blue-600 ring-2 ring-blue-400' : 'bg-slate-700/60 hover:bg-slate-600'}`}
+          title="Remove pieces"
+        >
+          🧽
+        </button>
+      </div>
+
+      <div className="flex justify-center">
+        <div className="grid grid-cols-8 border-2 sm:border-4 border-slate-600 rounded-xl sm:rounded-2xl shadow-2xl overflow-hidden">
+          {displayed.map((row, r) => row.map((piece, c) => (
+            <BoardSquare
+              key={`${r}-${c}`}
+              piece={piece}
+              isLight={(r + c) % 2 === 0}
+              fileLabel={String.fromCharCode(97 + (flipped ? 7 - c : c))}
+              rankLabel={flipped ? r + 1 : 8 - r}
+              row={r}
+              col={c}
+              flipped={flipped}
+              onSquareClick={placePiece}
+            />
+          )))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-xs sm:text-sm text-slate-300">
+        <div className="flex items-center gap-3">
+          <span className="text-slate-400">To move</span>
+          {[['w', 'White'], ['b', 'Black']].map(([side, label]) => (
+            <label key={side} className="flex items-center gap-1 cursor-pointer">
+              <input type="radio" name="setup-side" checked={setup.active === side} onChange={() => update({ active: side, enpass: '' })} />
+              {label}
+            </label>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <span className="text-slate-400">Castling</span>
+          {['K', 'Q', 'k', 'q'].map(right => {
+            const checked = (setup.castling || '').includes(right);
+            const possible = ChessUtils.resolveCastlingRights({ ...setup, castling: right }).length > 0;
+            return (
+              <label key={right} className={`flex items-center gap-1 ${possible || checked ? 'cursor-pointer' : 'opacity-40'}`}>
+                <input type="checkbox" checked={checked} disabled={!possible && !checked} onChange={() => toggleCastling(right)} />
+                {right === 'K' || right === 'k' ? 'O-O' : 'O-O-O'}{right === right.toUpperCase() ? ' (W)' : ' (B)'}
+              </label>
+            );
+          })}
+        </div>
+        <label className="flex items-center gap-2">
+          <span className="text-slate-400">En passant</span>
+          <select
+            value={setup.enpass || ''}
+            onChange={e => update({ enpass: e.target.value })}
+            className="px-2 py-1 bg-slate-900/60 border border-slate-600 rounded text-slate-200"
+          >
+            <option value="">–</option>
+            {[...new Set([...enPassantSquares, setup.enpass].filter(Boolean))].map(square => (
+              <option key={square} value={square}>{square}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-slate-400">Move number</span>
+          <input
+            type="number"
+            min="1"
+            value={setup.fullmove}
+            onChange={e => update({ fullmove: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className="w-20 px-2 py-1 bg-slate-900/60 border border-slate-600 rounded text-slate-200"
+          />
+        </label>
+      </div>
+
+      <input
+        value={fenDraft ?? fen}
+        onChange={e => setFenDraft(e.target.value)}
+        onBlur={applyFen}
+        onKeyDown={e => {
+          if (e.key === 'Enter') applyFen();
+          if (e.key === 'Escape') setFenDraft(null);
+        }}
+        spellCheck="false"
+        aria-label="FEN"
+        className={`w-full px-2 py-1.5 bg-slate-900/60 border rounded font-mono text-xs text-slate-200 focus:outline-none ${
+          fenDraft !== null && !GameJson.isValidFen(fenDraft) ? 'border-red-500' : 'border-slate-600 focus:border-blue-500'
+        }`}
+      />
+
+      {problems.length > 0 && (
+        <ul className="space-y-1 text-xs text-red-300">
+          {problems.map(problem => <li key={problem}>⚠️ {problem}</li>)}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => update({ board: setup.board.map(row => row.map(() => null)), castling: '', enpass: '' })}
+          className={`${buttonClass} bg-slate-700/60 hover:bg-slate-600 text-slate-200`}
+        >
+          Clear board
+        </button>
+        <button
+          onClick={() => setSetup(ChessUtils.fenToState(ChessUtils.initialFen))}
+          className={`${buttonClass} bg-slate-700/60 hover:bg-slate-600 text-slate-200`}
+        >
+          Starting position
+        </button>
+        <button
+          onClick={() => onCreate(fen)}
+          disabled={problems.length > 0}
+          className={`${buttonClass} ml-auto bg-emerald-600 hover:bg-emerald-500 text-white disabled:opacity-40 disabled:cursor-not-allowed`}
+        >
+          Create game
+        </button>
+      </div>
+    </div>
+  );
+};
+
 // Game Navigation Component
 const GameNavigation = ({ currentGameIndex, totalGames, onPrevious, onNext, className }) => {
   if (totalGames <= 1) return null;
@@ -638,248 +878,6 @@ const GameNavigation = ({ currentGameIndex, totalGames, onPrevious, onNext, clas
   );
 };
 
-// Enhanced analysis utilities
-const AnalysisUtils = {
-  // Multiple analysis endpoints for better accuracy
-  getAnalysisEndpoints(fen, depth = 18) {
-    return [
-      // Primary: Lichess Cloud Eval (most reliable)
-      `https://lichess.org/api/cloud-eval?fen=${encodeURIComponent(fen)}&multiPv=1`,
-      
-      // Secondary: Stockfish Online with higher depth
-      `https://stockfish.online/api/s/v2.php?fen=${encodeURIComponent(fen)}&depth=15`,
-      
-      // Fallback: Local simple evaluation
-      null // Will use local evaluation as fallback
-    ];
-  },
-
-  // Enhanced local evaluation with basic chess knowledge
-  performLocalEval(fen) {
-    try {
-      const board = ChessUtils.fenToBoard(fen);
-      let score = 0;
-      
-      // Piece values
-      const pieceValues = {
-        'P': 1, 'N': 3, 'B': 3, 'R': 5, 'Q': 9, 'K': 0,
-        'p': -1, 'n': -3, 'b': -3, 'r': -5, 'q': -9, 'k': 0
-      };
-      
-      // Count material
-      for (let row = 0; row < 8; row++) {
-        for (let col = 0; col < 8; col++) {
-          const piece = board[row][col];
-          if (piece) {
-            score += pieceValues[piece] || 0;
-          }
-        }
-      }
-      
-      // Basic positional knowledge (center control)
-      const centerSquares = [[3,3],[3,4],[4,3],[4,4]];
-      centerSquares.forEach(([r, c]) => {
-        const piece = board[r][c];
-        if (piece) {
-          if (piece === piece.toUpperCase()) score += 0.1; // White center control
-          else score -= 0.1; // Black center control
-        }
-      });
-      
-      // Development bonus (knights and bishops in starting position)
-      for (let col = 0; col < 8; col++) {
-        if (board[0][col] === 'N' || board[0][col] === 'B') score -= 0.1;
-        if (board[7][col] === 'n' || board[7][col] === 'b') score += 0.1;
-      }
-      
-      // Convert to pawn units and format
-      const formattedScore = (score / 100).toFixed(2);
-      const evalText = score > 0 ? `+${formattedScore}` : formattedScore;
-      
-      // Generate reasonable moves based on position
-      const possibleMoves = this.generateReasonableMoves(fen);
-      const bestMove = possibleMoves[0] || 'e2e4';
-      
-      return {
-        bestmove: bestMove,
-        evaluation: evalText,
-        analysis: `${bestMove} ${this.getContinuation(fen, bestMove)}`,
-        depth: 'local',
-        source: 'local'
-      };
-    } catch (e) {
-      console.error('Local eval error:', e);
-      return this.getFallbackAnalysis();
-    }
-  },
-
-  generateReasonableMoves(fen) {
-    const moves = [];
-    const state = ChessUtils.fenToState(fen);
-    const isWhite = state.active === 'w';
-    
-    // Common opening moves
-    if (fen === ChessUtils.initialFen) {
-      return ['e2e4', 'd2d4', 'g1f3', 'c2c4'];
-    }
-    
-    // Generate moves based on piece activity
-    const board = state.board;
-    for (let r = 0; r < 8; r++) {
-      for (let c = 0; c < 8; c++) {
-        const piece = board[r][c];
-        if (!piece) continue;
-        
-        const pieceIsWhite = piece === piece.toUpperCase();
-        if (pieceIsWhite !== isWhite) continue;
-        
-        // Simple move generation for each piece type
-        const pieceType = piece.toLowerCase();
-        switch (pieceType) {
-          case 'p':
-            // Pawn moves
-            const dir = isWhite ? -1 : 1;
-            // Single push
-            if (this.isValidSquare(r + dir, c) && !board[r + dir][c]) {
-              moves.push(this.squareToAlgebraic(r, c, r + dir, c));
-              // Double push from starting position
-              if ((isWhite && r === 6) || (!isWhite && r === 1)) {
-                if (!board[r + 2 * dir][c]) {
-                  moves.push(this.squareToAlgebraic(r, c, r + 2 * dir, c));
-                }
-              }
-            }
-            // Captures
-            for (const dc of [-1, 1]) {
-              if (this.isValidSquare(r + dir, c + dc) && board[r + dir][c + dc] && 
-                  this.isOpponent(board[r + dir][c + dc], isWhite)) {
-                moves.push(this.squareToAlgebraic(r, c, r + dir, c + dc));
-              }
-            }
-            break;
-            
-          case 'n':
-            // Knight moves
-            const knightMoves = [[-2,-1],[-2,1],[-1,-2],[-1,2],[1,-2],[1,2],[2,-1],[2,1]];
-            for (const [dr, dc] of knightMoves) {
-              if (this.isValidSquare(r + dr, c + dc) && 
-                  (!board[r + dr][c + dc] || this.isOpponent(board[r + dr][c + dc], isWhite))) {
-                moves.push(this.squareToAlgebraic(r, c, r + dr, c + dc));
-              }
-            }
-            break;
-        }
-      }
-    }
-    
-    // Sort moves to prioritize center and captures
-    return moves.sort((a, b) => this.movePriority(a, b));
-  },
-
-  squareToAlgebraic(fromRow, fromCol, toRow, toCol) {
-    const files = 'abcdefgh';
-    const fromFile = files[fromCol];
-    const fromRank = 8 - fromRow;
-    const toFile = files[toCol];
-    const toRank = 8 - toRow;
-    return `${fromFile}${fromRank}${toFile}${toRank}`;
-  },
-
-  isValidSquare(row, col) {
-    return row >= 0 && row < 8 && col >= 0 && col < 8;
-  },
-
-  isOpponent(piece, isWhite) {
-    if (!piece) return false;
-    return (piece === piece.toUpperCase()) !== isWhite;
-  },
-
-  movePriority(moveA, moveB) {
-    // Prioritize center moves (e4, d4, e5, d5)
-    const centerMoves = ['e2e4', 'd2d4', 'e7e5', 'd7d5'];
-    if (centerMoves.includes(moveA)) return -1;
-    if (centerMoves.includes(moveB)) return 1;
-    
-    // Then prioritize captures
-    const isCaptureA = moveA.length === 4 && Math.abs(moveA.charCodeAt(0) - moveA.charCodeAt(2)) === 1;
-    const isCaptureB = moveB.length === 4 && Math.abs(moveB.charCodeAt(0) - moveB.charCodeAt(2)) === 1;
-    if (isCaptureA && !isCaptureB) return -1;
-    if (!isCaptureA && isCaptureB) return 1;
-    
-    return 0;
-  },
-
-  getContinuation(fen, firstMove) {
-    // Simple continuation based on common responses
-    const continuations = {
-      'e2e4': 'e7e5 g1f3 b8c6',
-      'd2d4': 'd7d5 c2c4',
-      'g1f3': 'd7d5 d2d4',
-      'e7e5': 'g1f3 b8c6 f1b5',
-      'd7d5': 'c2c4 e7e6'
-    };
-    return continuations[firstMove] || 'Nf6 Nc3 d5';
-  },
-
-  getFallbackAnalysis() {
-    return {
-      bestmove: 'e2e4',
-      evaluation: '0.00',
-      analysis: 'e2e4 e7e5 g1f3',
-      depth: 'fallback',
-      source: 'fallback'
-    };
-  },
-
-  // Parse Lichess cloud evaluation response
-  parseLichessResponse(data) {
-    if (!data || !data.pvs || !data.pvs[0]) {
-      throw new Error('Invalid Lichess response');
-    }
-    
-    const pv = data.pvs[0];
-    let evaluation;
-    
-    if (pv.mate) {
-      evaluation = `#${pv.mate}`;
-    } else {
-      // Convert centipawns to pawn units
-      const score = pv.cp / 100;
-      evaluation = score > 0 ? `+${score.toFixed(2)}` : score.toFixed(2);
-    }
-    
-    return {
-      bestmove: pv.moves.split(' ')[0],
-      evaluation: evaluation,
-      analysis: pv.moves,
-      depth: data.depth || 'cloud',
-      source: 'lichess'
-    };
-  },
-
-  // Parse Stockfish Online response
-  parseStockfishResponse(data) {
-    if (!data || typeof data.evaluation === 'undefined') {
-      throw new Error('Invalid Stockfish response');
-    }
-    
-    let evaluation;
-    if (typeof data.evaluation === 'number') {
-      evaluation = data.evaluation > 0 ? `+${data.evaluation.toFixed(2)}` : data.evaluation.toFixed(2);
-    } else {
-      evaluation = '0.00';
-    }
-    
-    return {
-      bestmove: data.bestmove || 'e2e4',
-      evaluation: evaluation,
-      analysis: data.pv || 'No line available',
-      depth: 'online',
-      source: 'stockfish'
-    };
-  }
-};
-
 // Enhanced Analysis Panel Component
 const AnalysisPanel = ({ analysis, isAnalyzing, onRunAnalysis, currentFEN }) => {
   const [analysisHistory, setAnalysisHistory] = useState([]);
@@ -999,10 +997,57 @@ export default function App() {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [activeTab, setActiveTab] = useState('moves');
   const [isMobile, setIsMobile] = useState(false);
+  const [parseProgress, setParseProgress] = useState(null);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [visibleGameCount, setVisibleGameCount] = useState(COLLECTION_PAGE_SIZE);
+  const [collectionFilter, setCollectionFilter] = useState('');
+  const [selectedGames, setSelectedGames] = useState(() => new Set());
+  const [exportScope, setExportScope] = useState('all');
+  const [exportFormat, setExportFormat] = useState('pgn');
+  const [exportOptions, setExportOptions] = useState({ comments: true, variations: true, clocks: true });
+  const [diagramOptions, setDiagramOptions] = useState({
+    size: 400, orientation: 'auto', coordinates: true, sideToMove: true, annotations: true
+  });
+  const [gifOptions, setGifOptions] = useState({
+    line: 'main', delay: 1000, size: 320, orientation: 'auto', header: true
+  });
+  const [isEncodingGif, setIsEncodingGif] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [linkWithPgn, setLinkWithPgn] = useState(true);
+  // Board move entry: the square picked up (board coordinates) and a promotion awaiting a piece
+  const [selectedSquare, setSelectedSquare] = useState(null);
+  const [pendingPromotion, setPendingPromotion] = useState(null);
+  const [moveMenu, setMoveMenu] = useState(null);
+  const [editingComment, setEditingComment] = useState(false);
+  // Snapshots ({ games, source, gameIndex, path, bookmarks, diagnostics }) taken before each structured
+  // edit and before typed text replaces the games; a new file starts a fresh history
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [setupMode, setSetupMode] = useState(false);
 
 
   const fileInputRef = useRef(null);
   const parseTimerRef = useRef(null);
+  const parseWorkerRef = useRef(null);
+  // PGN text generated for an imported JSON document, which must not be reparsed over the imported games
+  const importedTextRef = useRef(null);
+  // Text the games were read from or written to, with their spans in it when known ({ text, ranges }),
+  // for rewriting one game in place
+  const sourceRef = useRef(null);
+  // View from a deep link, applied once its games have been parsed
+  const pendingViewRef = useRef(null);
+  // PGN text that came from the link's `pgn` parameter, kept in the hash while unchanged
+  const linkedTextRef = useRef(null);
+  const gamesRef = useRef(games);
+  gamesRef.current = games;
+  // What an undo snapshot keeps besides the text, readable from the delayed reparse
+  const collectionRef = useRef(null);
+  collectionRef.current = { games, gameIndex: currentGameIndex, path: currentPath, bookmarks, diagnostics };
+
+  // Record the collection as it is now as an undo step; a new step drops the redo steps
+  const pushHistory = useCallback(() => {
+    const snapshot = { ...collectionRef.current, source: sourceRef.current };
+    setHistory(prev => ({ past: [...prev.past, snapshot].slice(-MAX_HISTORY), future: [] }));
+  }, []);
 
   // Enhanced theme application with smooth transitions
   useEffect(() => {
@@ -1017,20 +1062,98 @@ export default function App() {
     return () => window.removeEventListener('resize', checkMobile);
   }, []);
 
+  const stopParseWorker = useCallback(() => {
+    if (parseWorkerRef.current) {
+      parseWorkerRef.current.terminate();
+      parseWorkerRef.current = null;
+    }
+    setParseProgress(null);
+  }, []);
+
+  useEffect(() => stopParseWorker, [stopParseWorker]);
+
+  // Large files are parsed in a worker and games are appended as they arrive
+  const streamFile = useCallback((file) => {
+    stopParseWorker();
+    clearTimeout(parseTimerRef.current);
+    parseTimerRef.current = null;
+    sourceRef.current = null;
+    setPgnText('');
+    setGames([]);
+    setHistory(EMPTY_HISTORY);
+    setDiagnostics([]);
+    setCurrentGameIndex(0);
+    setCurrentPath([]);
+    setCommentExpanded(false);
+    setVisibleGameCount(COLLECTION_PAGE_SIZE);
+    setSelectedGames(new Set());
+    setParseProgress({ fileName: file.name, loaded: 0, total: file.size, gameCount: 0 });
+
+    const worker = new Worker(new URL('./pgnWorker.js', import.meta.url), { type: 'module' });
+    parseWorkerRef.current = worker;
+
+    worker.onmessage = (ev) => {
+      if (parseWorkerRef.current !== worker) return;
+      const msg = ev.data;
+      if (msg.type === 'games') {
+        if (msg.games.length) setGames(prev => prev.concat(msg.games));
+        if (msg.diagnostics.length) setDiagnostics(prev => prev.concat(msg.diagnostics));
+        setParseProgress(prev => prev && {
+          ...prev, loaded: msg.loaded, total: msg.total, gameCount: prev.gameCount + msg.games.length
+        });
+      } else if (msg.type === 'progress') {
+        setParseProgress(prev => prev && { ...prev, loaded: msg.loaded, total: msg.total });
+      } else if (msg.type === 'done') {
+        stopParseWorker();
+        setNotice(`✅ Loaded ${msg.count} games from ${file.name}`);
+        setTimeout(() => setNotice(''), 2000);
+      } else if (msg.type === 'error') {
+        stopParseWorker();
+        setNotice('❌ Error parsing file');
+        setTimeout(() => setNotice(''), 3000);
+      }
+    };
+    worker.onerror = (err) => {
+      console.error('PGN worker error:', err);
+      stopParseWorker();
+      setNotice('❌ Error parsing file');
+      setTimeout(() => setNotice(''), 3000);
+    };
+    worker.postMessage({ type: 'parse', file });
+  }, [stopParseWorker]);
+
+  const cancelParse = useCallback(() => {
+    stopParseWorker();
+    setNotice('🛑 Parsing cancelled');
+    setTimeout(() => setNotice(''), 2000);
+  }, [stopParseWorker]);
+
   const scheduleParse = useCallback((text) => {
     if (parseTimerRef.current) clearTimeout(parseTimerRef.current);
     parseTimerRef.current = setTimeout(() => {
+      parseTimerRef.current = null;
       try {
-        const parsed = ChessUtils.parsePGN(text);
+        const problems = [];
+        const ranges = [];
+        const parsed = ChessUtils.parsePGN(text, { diagnostics: problems, ranges });
+        // Replacing games that were on screen can be undone
+        if (gamesRef.current.length) pushHistory();
+        sourceRef.current = { text, ranges };
+        const view = pendingViewRef.current;
+        pendingViewRef.current = null;
+        const gameIndex = view && parsed[view.gameIndex] ? view.gameIndex : 0;
         setGames(parsed);
-        setCurrentGameIndex(0);
-        setCurrentPath([]);
+        setDiagnostics(problems);
+        setCurrentGameIndex(gameIndex);
+        setCurrentPath(view && isValidPath(parsed[gameIndex]?.moves, view.path) ? view.path : []);
         setCommentExpanded(false);
+        setVisibleGameCount(COLLECTION_PAGE_SIZE);
+        setSelectedGames(new Set());
       } catch (err) {
         console.error('Error parsing PGN:', err);
       }
     }, 250);
-  }, []);
+  }, [pushHistory]);
 
   const loadSampleGame = useCallback(() => {
     const samplePGN = `[Event "F/S Return Match"]
@@ -1047,30 +1170,105 @@ export default function App() {
 16. Bh4 c5 17. dxe5 Nxe4 18. Bxe7 Qxe7 19. exd6 Qf6 20. Nbd2 Nxd6
 21. Nc4 Nxc4 22. Bxc4 Nb6 23. Ne5 Rae8 24. Bxf7+ Rxf7 25. Nxf7 Rxe1+
 26. Qxe1 Kxf7 27. Qe3 Qg5 28. Qxg5 hxg5 29. b3 Ke6 30. a3 Kd6
-31. axb4 cxb4 32. Ra1 Nd5 33. f3 Bc8 34. Kf2 Bf5 35. Ra7 g6
+31. axb4 cxb4 32. Ra5 Nd5 33. f3 Bc8 34. Kf2 Bf5 35. Ra7 g6
 36. Ra6+ Kc5 37. Ke1 Nf4 38. g3 Nxh3 39. Kd2 Kb5 40. Rd6 Kc5
 41. Ra6 Nf2 42. g4 Bd3 43. Re6 1/2-1/2`;
     setPgnText(samplePGN);
     scheduleParse(samplePGN);
   }, [scheduleParse]);
 
+  // Restore game, move, orientation and tab from a deep link; resolves true when the link carried its own PGN
+  const openLink = useCallback(async (hash) => {
+    const link = DeepLink.parse(hash);
+    setFlipped(link.flipped);
+    if (link.tab) setActiveTab(link.tab);
+
+    if (link.pgn) {
+      pendingViewRef.current = link;
+      try {
+        const text = await DeepLink.decompress(link.pgn);
+        linkedTextRef.current = text;
+        setPgnText(text);
+        scheduleParse(text);
+        return true;
+      } catch (err) {
+        console.error('Error reading link:', err);
+        pendingViewRef.current = null;
+        setNotice('❌ Could not read the game in this link');
+        setTimeout(() => setNotice(''), 3000);
+      }
+    }
+
+    if (link.hasView) {
+      const loaded = gamesRef.current;
+      if (loaded.length) {
+        const gameIndex = loaded[link.gameIndex] ? link.gameIndex : 0;
+        setCurrentGameIndex(gameIndex);
+        setCurrentPath(isValidPath(loaded[gameIndex].moves, link.path) ? link.path : []);
+      } else {
+        pendingViewRef.current = link;
+      }
+    }
+    return false;
+  }, [scheduleParse]);
+
+  useEffect(() => {
+    openLink(window.location.hash).then(hasPgn => {
+      if (!hasPgn) loadSampleGame();
+    });
+  }, [openLink, loadSampleGame]);
+
   useEffect(() => {
-    loadSampleGame();
-  }, [loadSampleGame]);
+    const onHashChange = () => openLink(window.location.hash);
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [openLink]);
 
   useEffect(() => {
+    if (pgnText === importedTextRef.current) return;
+    importedTextRef.current = null;
     if (!pgnText) {
+      if (gamesRef.current.length) pushHistory();
+      sourceRef.current = null;
       setGames([]);
+      setDiagnostics([]);
       setCurrentGameIndex(0);
       setCurrentPath([]);
       setCommentExpanded(false);
+      setSelectedGames(new Set());
       return;
     }
+    stopParseWorker();
     scheduleParse(pgnText);
-  }, [pgnText, scheduleParse]);
+  }, [pgnText, scheduleParse, stopParseWorker, pushHistory]);
 
   const currentGame = useMemo(() => games[currentGameIndex] || null, [games, currentGameIndex]);
 
+  // Mirror the view into the URL hash without adding history entries
+  useEffect(() => {
+    if (pendingViewRef.current) return;
+    const linked = DeepLink.parse(window.location.hash).pgn;
+    const hash = DeepLink.build({
+      gameIndex: currentGameIndex,
+      path: currentPath,
+      flipped,
+      tab: activeTab,
+      pgn: linked && pgnText === linkedTextRef.current ? linked : null,
+    });
+    if (hash !== window.location.hash) window.history.replaceState(null, '', hash);
+  }, [currentGameIndex, currentPath, flipped, activeTab, pgnText]);
+
+  // Games whose tag values contain every word of the collection filter, with their collection index
+  const filteredGames = useMemo(() => {
+    const terms = collectionFilter.toLowerCase().split(/\s+/).filter(Boolean);
+    const entries = games.map((game, index) => ({ game, index }));
+    if (!terms.length) return entries;
+    return entries.filter(({ game }) => {
+      const text = Object.values(game.headers || {}).join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+  }, [games, collectionFilter]);
+
   const currentMove = useMemo(() => {
     if (!currentGame || currentPath.length === 0) return null;
     let seq = currentGame.moves;
@@ -1093,6 +1291,282 @@ export default function App() {
     return board;
   }, [board, flipped]);
 
+  // Clock readings and time spent along the line through the current move
+  const timeLine = useMemo(() => {
+    if (!currentGame) return null;
+    const line = getLine(currentGame.moves, currentPath);
+    if (!line.some(e => e.move.clock != null || e.move.emt != null)) return null;
+
+    const timeControl = ChessUtils.parseTimeControl(currentGame.headers?.TimeControl);
+    const last = { w: timeControl?.base ?? null, b: timeControl?.base ?? null };
+    const entries = line.map(({ move, path }) => {
+      const side = move.isWhite ? 'w' : 'b';
+      let spent = move.emt ?? null;
+      if (spent === null && move.clock != null && last[side] != null) {
+        spent = Math.max(0, last[side] - move.clock + (timeControl?.increment || 0));
+      }
+      if (move.clock != null) last[side] = move.clock;
+      return { move, path, spent };
+    });
+
+    const currentIndex = entries.findIndex(e => arraysEqual(e.path, currentPath));
+    const clocks = { w: timeControl?.base ?? null, b: timeControl?.base ?? null };
+    entries.slice(0, currentIndex + 1).forEach(({ move }) => {
+      if (move.clock != null) clocks[move.isWhite ? 'w' : 'b'] = move.clock;
+    });
+    const active = currentIndex >= 0
+      ? (entries[currentIndex].move.isWhite ? 'b' : 'w')
+      : ChessUtils.fenToState(currentGame.initialFen || ChessUtils.initialFen).active;
+    return { entries, clocks, active };
+  }, [currentGame, currentPath]);
+
+  const positionStatus = useMemo(() => {
+    const fen = currentMove?.fenAfter || currentGame?.initialFen || ChessUtils.initialFen;
+    try {
+      return ChessUtils.getPositionStatus(fen);
+    } catch {
+      return { check: false, checkmate: false, stalemate: false };
+    }
+  }, [currentGame, currentMove]);
+
+  // Record a structured change to the collection for undo, with the bookmarks if it moved them. The
+  // PGN text follows without being reparsed: changed games are rewritten in place, new ones appended,
+  // and the problems list is rebuilt from the new text.
+  const commitGames = useCallback((updated, { gameIndex = currentGameIndex, path = null, bookmarks: movedBookmarks = null } = {}) => {
+    // Typed text still waiting to be parsed would be overwritten
+    if (parseTimerRef.current) {
+      setNotice('⏳ The PGN text is still being read, try again');
+      setTimeout(() => setNotice(''), 2000);
+      return false;
+    }
+    pushHistory();
+    const previous = gamesRef.current;
+    setGames(updated);
+    if (movedBookmarks) setBookmarks(movedBookmarks);
+    // Streamed collections have no text to keep in step
+    if (pgnText || !previous.length) {
+      const known = sourceRef.current?.text === pgnText && sourceRef.current.ranges;
+      const source = known ? sourceRef.current : readSource(pgnText);
+      const changed = updated.map((_, i) => i).filter(i => updated[i] !== previous[i]);
+      const pgn = PgnWriter.spliceGames(pgnText, source.ranges, updated, changed);
+      sourceRef.current = readSource(pgn);
+      importedTextRef.current = pgn;
+      setPgnText(pgn);
+      setDiagnostics(sourceRef.current.diagnostics);
+    }
+    setCurrentGameIndex(gameIndex);
+    if (path) {
+      setCurrentPath(path);
+      setCommentExpanded(false);
+    }
+    return true;
+  }, [currentGameIndex, pgnText, pushHistory]);
+
+  // Replace the current game with an edited copy
+  const editGame = useCallback((edit) => {
+    const game = gamesRef.current[currentGameIndex];
+    if (!game) return;
+    const { game: next, path, bookmarks } = edit(game);
+    if (next !== game) {
+      // Rewriting a game keeps only what was read from it
+      if (pgnText && diagnostics.some(d => d.gameIndex === currentGameIndex) && !window.confirm(
+        'This game has problems in its PGN text. Editing it rewrites the game from the moves that ' +
+        'could be read, and the rest of its text is lost. Edit anyway?'
+      )) return;
+      commitGames(gamesRef.current.map((g, i) => (i === currentGameIndex ? next : g)), { path, bookmarks });
+    } else if (path) {
+      setCurrentPath(path);
+      setCommentExpanded(false);
+    }
+  }, [currentGameIndex, pgnText, diagnostics, commitGames]);
+
+  // Append a game starting from a set-up position and open it
+  const createSetupGame = useCallback((fen) => {
+    const headers = { ...Object.fromEntries(ChessUtils.SEVEN_TAG_ROSTER), SetUp: '1', FEN: fen };
+    const game = { headers, moves: [], initialFen: fen, result: '*' };
+    if (!commitGames([...gamesRef.current, game], { gameIndex: gamesRef.current.length, path: [] })) return;
+    setSetupMode(false);
+    setNotice('✅ New game created from the set-up position');
+    setTimeout(() => setNotice(''), 2000);
+  }, [commitGames]);
+
+  // Step through the edit history; the text returns exactly as it was, so it is not reparsed
+  const stepHistory = useCallback((direction) => {
+    const from = direction < 0 ? history.past : history.future;
+    const entry = from[from.length - 1];
+    if (!entry) return;
+    // Typed text still waiting to be parsed would replace the restored games
+    clearTimeout(parseTimerRef.current);
+    parseTimerRef.current = null;
+    const current = { ...collectionRef.current, source: sourceRef.current };
+    setHistory(direction < 0
+      ? { past: history.past.slice(0, -1), future: [...history.future, current] }
+      : { past: [...history.past, current], future: history.future.slice(0, -1) });
+    const text = entry.source?.text ?? '';
+    sourceRef.current = entry.source;
+    importedTextRef.current = text;
+    setPgnText(text);
+    setGames(entry.games);
+    setDiagnostics(entry.diagnostics);
+    setBookmarks(entry.bookmarks);
+    setCurrentGameIndex(entry.gameIndex);
+    setCurrentPath(isValidPath(entry.games[entry.gameIndex]?.moves, entry.path) ? entry.path : []);
+    setCommentExpanded(false);
+  }, [history]);
+
+  const undo = useCallback(() => stepHistory(-1), [stepHistory]);
+  const redo = useCallback(() => stepHistory(1), [stepHistory]);
+
+  // Legal moves in the displayed position; none after an illegal move or without a game
+  const currentLegal = useMemo(() => {
+    if (!currentGame || currentMove?.illegal) return null;
+    const fen = currentMove?.fenAfter || currentGame.initialFen || ChessUtils.initialFen;
+    try {
+      const state = ChessUtils.fenToState(fen);
+      return { fen, state, moves: ChessUtils.generateLegalMoves(state) };
+    } catch {
+      return null;
+    }
+  }, [currentGame, currentMove]);
+
+  useEffect(() => {
+    setSelectedSquare(null);
+    setPendingPromotion(null);
+  }, [currentLegal]);
+
+  const toBoardSquare = useCallback((row, col) => (flipped ? [7 - row, 7 - col] : [row, col]), [flipped]);
+
+  // Generator moves from one square to another; castling also accepts the rook's square as target.
+  // In Chess960 a king step can land where castling puts the king: the step wins there, and
+  // castling stays reachable through the rook's square.
+  const movesBetween = useCallback((from, to) => {
+    const matches = (currentLegal?.moves || []).filter(m =>
+      arraysEqual(m.from, from) && (arraysEqual(m.to, to) || (m.castle && arraysEqual(m.rookFrom, to)))
+    );
+    const plain = matches.filter(m => !m.castle);
+    return plain.length ? plain : matches;
+  }, [currentLegal]);
+
+  const playBoardMove = useCallback((legalMove) => {
+    setSelectedSquare(null);
+    setPendingPromotion(null);
+    editGame(game => {
+      const node = GameTree.createMove(currentLegal.fen, legalMove);
+      const { moves, path } = GameTree.addMove(game.moves, currentPath, node);
+      return { game: moves === game.moves ? game : { ...game, moves }, path };
+    });
+  }, [editGame, currentLegal, currentPath]);
+
+  // Play from the selected square; the four promotions open the piece picker
+  const tryBoardMove = useCallback((to) => {
+    if (!selectedSquare) return false;
+    const matches = movesBetween(selectedSquare, to);
+    if (!matches.length) return false;
+    if (matches.length > 1 && matches.every(m => m.promotion)) setPendingPromotion({ to, moves: matches });
+    else playBoardMove(matches[0]);
+    return true;
+  }, [selectedSquare, movesBetween, playBoardMove]);
+
+  const canMoveFrom = useCallback((square) =>
+    (currentLegal?.moves || []).some(m => arraysEqual(m.from, square)), [currentLegal]);
+
+  const handleSquareClick = useCallback((row, col) => {
+    const square = toBoardSquare(row, col);
+    setPendingPromotion(null);
+    if (selectedSquare && arraysEqual(selectedSquare, square)) {
+      setSelectedSquare(null);
+    } else if (!tryBoardMove(square)) {
+      setSelectedSquare(canMoveFrom(square) ? square : null);
+    }
+  }, [toBoardSquare, selectedSquare, tryBoardMove, canMoveFrom]);
+
+  const handlePieceDragStart = useCallback((row, col) => {
+    const square = toBoardSquare(row, col);
+    setPendingPromotion(null);
+    setSelectedSquare(canMoveFrom(square) ? square : null);
+  }, [toBoardSquare, canMoveFrom]);
+
+  const handleSquareDrop = useCallback((row, col) => {
+    tryBoardMove(toBoardSquare(row, col));
+  }, [tryBoardMove, toBoardSquare]);
+
+  // Display squares ("row-col") the selected piece can move to
+  const moveTargets = useMemo(() => {
+    const targets = new Set();
+    if (!selectedSquare || !currentLegal) return targets;
+    for (const m of currentLegal.moves) {
+      if (!arraysEqual(m.from, selectedSquare)) continue;
+      const [r, c] = flipped ? [7 - m.to[0], 7 - m.to[1]] : m.to;
+      targets.add(`${r}-${c}`);
+    }
+    return targets;
+  }, [selectedSquare, currentLegal, flipped]);
+
+  const openMoveMenu = useCallback((path, x, y) => setMoveMenu({ path, x, y }), []);
+  const closeMoveMenu = useCallback(() => setMoveMenu(null), []);
+
+  // Reshape the move tree from the move menu; focus moves to the edited move or the one before it
+  const applyTreeAction = useCallback((action) => {
+    const { path } = moveMenu;
+    setMoveMenu(null);
+    editGame(game => {
+      let edited;
+      if (action === 'truncate') {
+        edited = GameTree.truncateBefore(game, path);
+      } else {
+        const result = {
+          promote: () => GameTree.promoteVariation(game.moves, path),
+          demote: () => GameTree.demoteLine(game.moves, path),
+          mainLine: () => GameTree.makeMainLine(game.moves, path),
+          deleteVariation: () => GameTree.deleteVariation(game.moves, path),
+          deleteFrom: () => GameTree.deleteFrom(game.moves, path),
+        }[action]();
+        if (!result) return { game, path: null };
+        edited = { game: { ...game, moves: result.moves }, path: result.path };
+      }
+      // Bookmarks in this game follow their moves, and go with the moves that are deleted or cut off
+      const cut = action === 'truncate' ? GameTree.lineOf(game.moves, path) : [];
+      const moved = bookmarks.map(bm => {
+        if (bm.gameIndex !== currentGameIndex) return bm;
+        const movePath = GameTree.remapPath(game.moves, edited.game.moves, bm.movePath, cut);
+        return movePath && { ...bm, movePath };
+      }).filter(Boolean);
+      return { ...edited, bookmarks: moved };
+    });
+  }, [moveMenu, editGame, bookmarks, currentGameIndex]);
+
+  useEffect(() => setEditingComment(false), [currentGameIndex, currentPath]);
+
+  // Edit the current move in place
+  const editCurrentMove = useCallback((edit) => {
+    if (!currentPath.length) return;
+    editGame(game => ({ game: { ...game, moves: GameTree.updateMove(game.moves, currentPath, edit) }, path: null }));
+  }, [editGame, currentPath]);
+
+  // Comment text may carry [%cal]/[%csl]/[%clk] commands, which become move fields as when parsing
+  const saveComments = useCallback((before, after) => {
+    editCurrentMove(move => {
+      const edited = ChessUtils.setComment(move, after);
+      const text = before.replace(/\s+/g, ' ').trim();
+      if (text) edited.commentBefore = text;
+      else delete edited.commentBefore;
+      return edited;
+    });
+    setEditingComment(false);
+  }, [editCurrentMove]);
+
+  const toggleCurrentNag = useCallback((nag) => {
+    editCurrentMove(move => ({ ...move, nags: toggleNag(move.nags || [], nag) }));
+  }, [editCurrentMove]);
+
+  // A new Result tag also becomes the game's result
+  const updateHeaders = useCallback((headers) => {
+    editGame(game => ({
+      game: { ...game, headers, result: ChessUtils.RESULTS.includes(headers.Result) ? headers.Result : game.result },
+      path: null,
+    }));
+  }, [editGame]);
+
   // Game navigation functions
   const goToPreviousGame = useCallback(() => {
     if (currentGameIndex > 0) {
@@ -1134,17 +1608,65 @@ export default function App() {
     setCommentExpanded(false);
   }, [currentGame]);
 
+  // Load a JSON game-tree document; the textarea gets equivalent PGN without reparsing it
+  const importJson = useCallback((text) => {
+    let imported;
+    try {
+      imported = GameJson.fromJson(text);
+    } catch (err) {
+      setNotice(`❌ Invalid game file: ${err.message}`);
+      setTimeout(() => setNotice(''), 4000);
+      return;
+    }
+    stopParseWorker();
+    clearTimeout(parseTimerRef.current);
+    parseTimerRef.current = null;
+    const pgn = PgnWriter.writeGames(imported.games);
+    importedTextRef.current = pgn;
+    sourceRef.current = { text: pgn, ranges: null };
+    setPgnText(pgn);
+    setGames(imported.games);
+    setHistory(EMPTY_HISTORY);
+    setDiagnostics([]);
+    setBookmarks(imported.bookmarks.map((bm, i) => ({
+      ...bm, id: Date.now() + i, timestamp: new Date().toLocaleTimeString()
+    })));
+    setCurrentGameIndex(0);
+    setCurrentPath([]);
+    setCommentExpanded(false);
+    setVisibleGameCount(COLLECTION_PAGE_SIZE);
+    setSelectedGames(new Set());
+    setNotice(`✅ Imported ${imported.games.length} game${imported.games.length === 1 ? '' : 's'}`);
+    setTimeout(() => setNotice(''), 2000);
+  }, [stopParseWorker]);
+
   // Enhanced file handling with better UX
   const handleFileUpload = useCallback((ev) => {
     const file = ev.target?.files?.[0];
     if (!file) return;
     
-    if (!file.name.endsWith('.pgn') && !file.name.endsWith('.txt')) {
-      setNotice('❌ Please upload a .pgn or .txt file');
+    if (!/\.(pgn|txt|json)$/i.test(file.name)) {
+      setNotice('❌ Please upload a .pgn, .txt or .json file');
       setTimeout(() => setNotice(''), 3000);
       return;
     }
 
+    if (/\.json$/i.test(file.name)) {
+      const reader = new FileReader();
+      reader.onload = (e) => importJson(e.target.result);
+      reader.onerror = () => {
+        setNotice('❌ Error reading file');
+        setTimeout(() => setNotice(''), 3000);
+      };
+      reader.readAsText(file);
+      return;
+    }
+
+    if (file.size > STREAM_PARSE_THRESHOLD) {
+      streamFile(file);
+      return;
+    }
+
     const reader = new FileReader();
     reader.onloadstart = () => setNotice('📁 Loading file...');
     reader.onload = (e) => {
@@ -1159,7 +1681,7 @@ export default function App() {
       setTimeout(() => setNotice(''), 3000);
     };
     reader.readAsText(file);
-  }, [scheduleParse]);
+  }, [scheduleParse, streamFile, importJson]);
 
   const handleDrop = useCallback((ev) => {
     ev.preventDefault();
@@ -1202,6 +1724,15 @@ export default function App() {
     }
   }, [scheduleParse]);
 
+  const goToProblem = useCallback((problem) => {
+    const game = games[problem.gameIndex];
+    if (!game) return;
+    setCurrentGameIndex(problem.gameIndex);
+    // The tree may have been edited since the problem was reported
+    setCurrentPath(problem.path && isValidPath(game.moves, problem.path) ? problem.path : []);
+    setCommentExpanded(false);
+  }, [games]);
+
   // Enhanced bookmark system
   const addBookmark = useCallback(() => {
     if (!currentGame || currentPath.length === 0) return;
@@ -1252,29 +1783,75 @@ export default function App() {
       return; 
     }
     
-    let pgn = '';
-    Object.entries(currentGame.headers || {}).forEach(([k, v]) => pgn += `[${k} "${v}"]\n`);
-    pgn += '\n';
-    
-    const build = (seq) => {
-      let out = '';
-      let fullmove = 1;
-      seq.forEach(m => {
-        if (m.isWhite) out += `${fullmove}. `;
-        out += `${m.move} `;
-        if (m.comment) out += `{${m.comment}} `;
-        if (!m.isWhite) fullmove++;
-        if (m.variations) {
-          m.variations.forEach(v => out += `(${build(v)}) `);
-        }
-      });
-      return out;
-    };
-    
-    pgn += build(currentGame.moves);
+    const pgn = PgnWriter.writeGame(currentGame);
     copyToClipboard(pgn, 'PGN exported to clipboard');
   }, [currentGame, copyToClipboard]);
 
+  const downloadPGN = useCallback(() => {
+    if (!currentGame) {
+      setNotice('❌ No game to export');
+      setTimeout(() => setNotice(''), 1200);
+      return;
+    }
+    const { White, Black } = currentGame.headers || {};
+    const name = [White, Black].filter(Boolean).join('-') || `game-${currentGameIndex + 1}`;
+    downloadFile(PgnWriter.writeGame(currentGame), `${toFileName(name)}.pgn`, 'application/x-chess-pgn');
+    setNotice('✅ PGN file downloaded');
+    setTimeout(() => setNotice(''), 1500);
+  }, [currentGame, currentGameIndex]);
+
+  // Bookmarked move paths of the current game, where the printed report places diagrams
+  const reportBookmarks = useMemo(() => new Set(
+    bookmarks.filter(bm => bm.gameIndex === currentGameIndex).map(bm => bm.movePath.join(','))
+  ), [bookmarks, currentGameIndex]);
+
+  const downloadJSON = useCallback(() => {
+    if (!currentGame) {
+      setNotice('❌ No game to export');
+      setTimeout(() => setNotice(''), 1200);
+      return;
+    }
+    const { White, Black } = currentGame.headers || {};
+    const name = [White, Black].filter(Boolean).join('-') || `game-${currentGameIndex + 1}`;
+    const doc = GameJson.toJson([currentGame], bookmarks, [currentGameIndex]);
+    downloadFile(JSON.stringify(doc, null, 2), `${toFileName(name)}.json`, 'application/json');
+    setNotice('✅ JSON file downloaded');
+    setTimeout(() => setNotice(''), 1500);
+  }, [currentGame, currentGameIndex, bookmarks]);
+
+  const toggleGameSelected = useCallback((index) => {
+    setSelectedGames(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  }, []);
+
+  // Writes all, selected or filtered games to a single .pgn or .json file
+  const exportCollection = useCallback(() => {
+    const indices = exportScope === 'selected'
+      ? games.map((_, index) => index).filter(index => selectedGames.has(index))
+      : exportScope === 'filtered'
+        ? filteredGames.map(({ index }) => index)
+        : games.map((_, index) => index);
+    if (!indices.length) {
+      setNotice('❌ No games to export');
+      setTimeout(() => setNotice(''), 1200);
+      return;
+    }
+    const chosen = indices.map(index => games[index]);
+    const name = toFileName(`collection-${exportScope}`);
+    if (exportFormat === 'json') {
+      const doc = GameJson.toJson(chosen, bookmarks, indices);
+      downloadFile(JSON.stringify(doc, null, 2), `${name}.json`, 'application/json');
+    } else {
+      downloadFile(PgnWriter.writeGames(chosen, exportOptions), `${name}.pgn`, 'application/x-chess-pgn');
+    }
+    setNotice(`✅ Exported ${chosen.length} game${chosen.length === 1 ? '' : 's'}`);
+    setTimeout(() => setNotice(''), 1500);
+  }, [games, filteredGames, selectedGames, exportScope, exportFormat, exportOptions, bookmarks]);
+
   // Enhanced search with highlighting
   const searchMoves = useCallback(() => {
     if (!searchTerm || !currentGame) return;
@@ -1305,6 +1882,8 @@ export default function App() {
       if (ev.key === 'End') { ev.preventDefault(); goToEnd(); }
       if (ev.key === 'b' && (ev.ctrlKey || ev.metaKey)) { ev.preventDefault(); addBookmark(); }
       if (ev.key === 'f' && (ev.ctrlKey || ev.metaKey)) { ev.preventDefault(); document.getElementById('search-input')?.focus(); }
+      if (ev.key.toLowerCase() === 'z' && (ev.ctrlKey || ev.metaKey)) { ev.preventDefault(); if (ev.shiftKey) redo(); else undo(); }
+      if (ev.key === 'y' && ev.ctrlKey) { ev.preventDefault(); redo(); }
       if (ev.key === 'f' && ev.shiftKey) { ev.preventDefault(); setFlipped(!flipped); }
       if (ev.key === 't' && (ev.ctrlKey || ev.metaKey)) { ev.preventDefault(); setTheme(theme === 'dark' ? 'light' : 'dark'); }
       if (ev.key === 'PageUp') { ev.preventDefault(); goToPreviousGame(); }
@@ -1313,12 +1892,31 @@ export default function App() {
     
     window.addEventListener('keydown', handler);
     return () => window.removeEventListener('keydown', handler);
-  }, [navigateMove, goToStart, goToEnd, addBookmark, flipped, theme, goToPreviousGame, goToNextGame]);
+  }, [navigateMove, goToStart, goToEnd, addBookmark, flipped, theme, goToPreviousGame, goToNextGame, undo, redo]);
   
   const [analysis, setAnalysis] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisHistory, setAnalysisHistory] = useState([]);
 
+  // Shareable link to the current view, embedding the game's PGN when it is small enough
+  const copyLink = useCallback(async () => {
+    let pgn = null;
+    if (linkWithPgn && currentGame) {
+      const encoded = await DeepLink.compress(PgnWriter.writeGame(currentGame));
+      if (encoded.length <= DeepLink.MAX_PGN_LENGTH) pgn = encoded;
+    }
+    const hash = DeepLink.build({
+      gameIndex: pgn ? 0 : currentGameIndex,
+      path: currentPath,
+      flipped,
+      tab: activeTab,
+      pgn,
+    });
+    const { origin, pathname, search } = window.location;
+    const message = pgn ? 'Link with game copied' : linkWithPgn ? 'Link copied (game too large to embed)' : 'Link copied';
+    copyToClipboard(`${origin}${pathname}${search}${hash}`, message);
+  }, [linkWithPgn, currentGame, currentGameIndex, currentPath, flipped, activeTab, copyToClipboard]);
+
   // Fixed FEN export function
   const getCurrentFEN = useCallback(() => {
     let fen = ChessUtils.initialFen;
@@ -1344,6 +1942,113 @@ export default function App() {
     copyToClipboard(fen, 'FEN copied to clipboard');
   }, [getCurrentFEN, copyToClipboard]);
 
+  // Diagram of the displayed position as a standalone SVG or PNG download
+  const exportDiagram = useCallback(async (format) => {
+    try {
+      const { size, orientation, coordinates, sideToMove, annotations } = diagramOptions;
+      const diagramFlipped = orientation === 'auto' ? flipped : orientation === 'black';
+      const svg = BoardDiagram.renderSvg(
+        diagramFlipped === flipped ? displayedBoard : BoardDiagram.rotate(displayedBoard),
+        {
+          size,
+          flipped: diagramFlipped,
+          coordinates,
+          sideToMove: sideToMove ? ChessUtils.fenToState(getCurrentFEN()).active : null,
+          arrows: annotations ? currentMove?.arrows : [],
+          highlights: annotations ? currentMove?.highlights : [],
+          pieces: await BoardDiagram.loadPieces(PIECE_SYMBOLS),
+        }
+      );
+      const name = toFileName(`diagram-${currentGameIndex + 1}-${currentPath.length}`);
+      if (format === 'png') {
+        downloadFile(await BoardDiagram.toPng(svg), `${name}.png`, 'image/png');
+      } else {
+        downloadFile(svg, `${name}.svg`, 'image/svg+xml');
+      }
+      setNotice(`✅ ${format.toUpperCase()} diagram downloaded`);
+      setTimeout(() => setNotice(''), 1500);
+    } catch (err) {
+      console.error('Diagram export failed:', err);
+      setNotice('❌ Diagram export failed');
+      setTimeout(() => setNotice(''), 2000);
+    }
+  }, [diagramOptions, flipped, displayedBoard, currentMove, getCurrentFEN, currentGameIndex, currentPath]);
+
+  // Animated GIF of the main line or the line up to the current move, one frame per position
+  const exportGif = useCallback(async () => {
+    if (!currentGame) {
+      setNotice('❌ No game to export');
+      setTimeout(() => setNotice(''), 1200);
+      return;
+    }
+    setIsEncodingGif(true);
+    try {
+      const { line, delay, size, orientation, header } = gifOptions;
+      const gifFlipped = orientation === 'auto' ? flipped : orientation === 'black';
+      let moves = currentGame.moves;
+      if (line === 'current' && currentPath.length) {
+        const fullLine = getLine(currentGame.moves, currentPath);
+        const end = fullLine.findIndex(e => arraysEqual(e.path, currentPath));
+        moves = fullLine.slice(0, end + 1).map(e => e.move);
+      }
+      const fens = [
+        currentGame.initialFen || ChessUtils.initialFen,
+        ...moves.filter(m => m.fenAfter && !m.illegal).map(m => m.fenAfter),
+      ];
+
+      const pieces = await BoardDiagram.loadPieces(PIECE_SYMBOLS);
+      const { White = 'White', Black = 'Black', WhiteElo, BlackElo } = currentGame.headers || {};
+      const result = currentGame.headers?.Result || currentGame.result || '*';
+      const stripHeight = header ? Math.round(size * 0.12) : 0;
+      let canvas = null;
+      let encoder = null;
+
+      for (let i = 0; i < fens.length; i++) {
+        const board = ChessUtils.fenToBoard(fens[i]);
+        const svg = BoardDiagram.renderSvg(gifFlipped ? BoardDiagram.rotate(board) : board, {
+          size, flipped: gifFlipped, coordinates: true, pieces
+        });
+        const img = await BoardDiagram.loadImage(svg);
+        if (!canvas) {
+          canvas = document.createElement('canvas');
+          canvas.width = img.width;
+          canvas.height = img.height + stripHeight;
+          encoder = GifEncoder.create(canvas.width, canvas.height);
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#0f172a';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (header) {
+          const pad = stripHeight * 0.3;
+          ctx.font = `bold ${Math.round(stripHeight * 0.4)}px sans-serif`;
+          ctx.textBaseline = 'middle';
+          ctx.fillStyle = '#ffffff';
+          ctx.textAlign = 'right';
+          ctx.fillText(result, canvas.width - pad, stripHeight / 2);
+          const resultWidth = ctx.measureText(result).width;
+          ctx.textAlign = 'left';
+          const names = `${White}${WhiteElo ? ` (${WhiteElo})` : ''} – ${Black}${BlackElo ? ` (${BlackElo})` : ''}`;
+          ctx.fillText(names, pad, stripHeight / 2, canvas.width - resultWidth - pad * 3);
+        }
+        ctx.drawImage(img, 0, stripHeight);
+        // Hold the final position longer before the animation loops
+        encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height), i === fens.length - 1 ? delay * 3 : delay);
+        setNotice(`⏳ Encoding GIF ${i + 1}/${fens.length}`);
+      }
+
+      const name = [White, Black].filter(Boolean).join('-') || `game-${currentGameIndex + 1}`;
+      downloadFile(encoder.finish(), `${toFileName(name)}.gif`, 'image/gif');
+      setNotice(`✅ GIF downloaded (${fens.length} frames)`);
+      setTimeout(() => setNotice(''), 1500);
+    } catch (err) {
+      console.error('GIF export failed:', err);
+      setNotice('❌ GIF export failed');
+      setTimeout(() => setNotice(''), 2000);
+    } finally {
+      setIsEncodingGif(false);
+    }
+  }, [currentGame, currentGameIndex, currentPath, gifOptions, flipped]);
+
   // Enhanced analysis function with multiple fallbacks
   const runAnalysis = useCallback(async () => {
     const fen = getCurrentFEN();
@@ -1427,6 +2132,16 @@ export default function App() {
       setTimeout(() => setNotice(''), 3000);
     }
   }, [getCurrentFEN]);
+  if (showReport && currentGame) {
+    return (
+      <GameReport
+        game={currentGame}
+        bookmarkedPaths={reportBookmarks}
+        onClose={() => setShowReport(false)}
+      />
+    );
+  }
+
   return (
     <div className={`min-h-screen transition-all duration-500 ${
       theme === 'dark' 
@@ -1488,6 +2203,25 @@ export default function App() {
                 </span>
               </button>
 
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={undo}
+                  disabled={!history.past.length}
+                  className="p-2 sm:p-3 bg-slate-700/50 hover:bg-slate-600/50 rounded-xl border border-slate-600/50 transition-all duration-300 backdrop-blur-sm disabled:opacity-30 disabled:cursor-not-allowed"
+                  title="Undo (Ctrl+Z)"
+                >
+                  ↶
+                </button>
+                <button
+                  onClick={redo}
+                  disabled={!history.future.length}
+                  className="p-2 sm:p-3 bg-slate-700/50 hover:bg-slate-600/50 rounded-xl border border-slate-600/50 transition-all duration-300 backdrop-blur-sm disabled:opacity-30 disabled:cursor-not-allowed"
+                  title="Redo (Ctrl+Shift+Z)"
+                >
+                  ↷
+                </button>
+              </div>
+
               <button 
                 onClick={() => setTheme(theme === 'dark' ? 'light' : 'dark')}
                 className="p-2 sm:p-3 bg-slate-700/50 hover:bg-slate-600/50 rounded-xl border border-slate-600/50 transition-all duration-300 transform hover:scale-105 backdrop-blur-sm"
@@ -1499,7 +2233,7 @@ export default function App() {
           </div>
         </div>
 
-        <input type="file" accept=".pgn,.txt" ref={fileInputRef} onChange={handleFileUpload} className="hidden" />
+        <input type="file" accept=".pgn,.txt,.json" ref={fileInputRef} onChange={handleFileUpload} className="hidden" />
       </header>
 
       {/* Enhanced Main Grid */}
@@ -1539,6 +2273,10 @@ export default function App() {
               </div>
             </div>
 
+            {parseProgress && <ParseProgress progress={parseProgress} onCancel={cancelParse} />}
+
+            {diagnostics.length > 0 && <ProblemsPanel diagnostics={diagnostics} onSelect={goToProblem} />}
+
             {/* Enhanced Navigation Tabs */}
                 {!isMobile &&<div className="bg-slate-800/40 rounded-xl sm:rounded-2xl p-1 backdrop-blur-sm border border-slate-700/50">
               <div className="flex space-x-1">
@@ -1575,6 +2313,7 @@ export default function App() {
                     seq={currentGame.moves} 
                     currentPath={currentPath} 
                     onSelect={setCurrentPath} 
+                    onMoveMenu={openMoveMenu}
                   />
                 </div>
               </div>
@@ -1598,14 +2337,12 @@ export default function App() {
                   Game Information
                 </h3>
                 
-                <div className="space-y-2 sm:space-y-3">
-                  {Object.entries(currentGame.headers || {}).slice(0, 6).map(([key, value]) => (
-                    <div key={key} className="flex justify-between items-center py-1 sm:py-2 border-b border-slate-700/30 last:border-b-0">
-                      <span className="text-xs sm:text-sm text-slate-400 capitalize truncate mr-2">{key}:</span>
-                      <span className="text-xs sm:text-sm text-slate-200 font-medium text-right truncate">{value}</span>
-                    </div>
-                  ))}
-                </div>
+                <HeaderEditor
+                  key={currentGameIndex}
+                  headers={currentGame.headers || {}}
+                  result={currentGame.result}
+                  onChange={updateHeaders}
+                />
               </div>
             )}
           </div>
@@ -1621,8 +2358,17 @@ export default function App() {
               onNext={goToNextGame}
             />
 
+            {setupMode && (
+              <BoardSetupEditor
+                initialFen={getCurrentFEN()}
+                flipped={flipped}
+                onCreate={createSetupGame}
+                onCancel={() => setSetupMode(false)}
+              />
+            )}
+
             {/* Enhanced Chessboard Container with Larger Mobile Sizing */}
-            <div className="relative">
+            <div className={`relative ${setupMode ? 'hidden' : ''}`}>
               <div className="bg-slate-800/40 rounded-2xl sm:rounded-3xl p-4 sm:p-6 shadow-2xl border border-slate-700/50 backdrop-blur-sm">
                 {/* Board Controls */}
                 <div className="flex flex-col sm:flex-row items-center justify-between mb-4 sm:mb-6 gap-3 sm:gap-0">
@@ -1634,10 +2380,26 @@ export default function App() {
                       <span><img src="./flip.svg" alt="" className='h-[17px] w-[17px] ' /></span>
                       {flipped ? 'Black side' : 'White side'}
                     </button>
+
+                    <button
+                      onClick={() => setSetupMode(true)}
+                      className="px-3 sm:px-4 py-1.5 sm:py-2 bg-slate-700/50 hover:bg-slate-600/50 rounded-lg sm:rounded-xl border border-slate-600/50 transition-all duration-300 transform hover:scale-105 text-xs sm:text-sm"
+                      title="Set up a custom starting position"
+                    >
+                      🧩 Set up
+                    </button>
                     
                     <div className="text-xs sm:text-sm text-slate-400 bg-slate-700/30 px-2 sm:px-3 py-1 rounded-full">
                       {currentPath.length > 0 ? `Move ${currentPath.length}` : 'Initial Position'}
                     </div>
+
+                    {(positionStatus.check || positionStatus.stalemate) && (
+                      <div className={`text-xs sm:text-sm font-semibold px-2 sm:px-3 py-1 rounded-full ${
+                        positionStatus.check ? 'bg-red-500/20 text-red-300' : 'bg-yellow-500/20 text-yellow-300'
+                      }`}>
+                        {positionStatus.checkmate ? 'Checkmate' : positionStatus.check ? 'Check' : 'Stalemate'}
+                      </div>
+                    )}
                   </div>
                   
                   <div className="flex items-center gap-2">
@@ -1648,37 +2410,107 @@ export default function App() {
                     >
                       📋 FEN
                     </button>
+                    <button 
+                      onClick={copyLink}
+                      className="px-2 sm:px-3 py-1.5 sm:py-2 bg-blue-600/50 hover:bg-blue-500/50 rounded-lg border border-blue-500/30 transition-colors text-xs sm:text-sm"
+                      title="Copy a link to this position"
+                    >
+                      🔗 Link
+                    </button>
+                    <label className="flex items-center gap-1 text-xs text-slate-400 cursor-pointer" title="Embed the game's PGN in the link">
+                      <input
+                        type="checkbox"
+                        checked={linkWithPgn}
+                        onChange={e => setLinkWithPgn(e.target.checked)}
+                      />
+                      PGN
+                    </label>
                   </div>
                 </div>
 
                 {/* Enhanced Chessboard - Larger on Mobile */}
                 <div className="flex justify-center">
-                  <div className="relative">
-                    <div className="grid grid-cols-8 border-2 sm:border-4 border-slate-600 rounded-xl sm:rounded-2xl shadow-2xl overflow-hidden bg-slate-700/30">
-                      {displayedBoard.map((row, rIdx) =>
-                        row.map((piece, cIdx) => {
-                          const isLight = (rIdx + cIdx) % 2 === 0;
-                          const fileLabel = String.fromCharCode(97 + (flipped ? 7 - cIdx : cIdx));
-                          const rankLabel = flipped ? rIdx + 1 : 8 - rIdx;
+                  <div>
+                    {timeLine && (
+                      <PlayerClock
+                        name={(flipped ? currentGame.headers.White : currentGame.headers.Black) || (flipped ? 'White' : 'Black')}
+                        seconds={timeLine.clocks[flipped ? 'w' : 'b']}
+                        isWhite={flipped}
+                        active={timeLine.active === (flipped ? 'w' : 'b')}
+                      />
+                    )}
+                    <div className="relative">
+                      <div className="relative grid grid-cols-8 border-2 sm:border-4 border-slate-600 rounded-xl sm:rounded-2xl shadow-2xl overflow-hidden bg-slate-700/30">
+                        {displayedBoard.map((row, rIdx) =>
+                          row.map((piece, cIdx) => {
+                            const isLight = (rIdx + cIdx) % 2 === 0;
+                            const fileLabel = String.fromCharCode(97 + (flipped ? 7 - cIdx : cIdx));
+                            const rankLabel = flipped ? rIdx + 1 : 8 - rIdx;
                           
-                          return (
-                            <BoardSquare
-                              key={`${rIdx}-${cIdx}`}
-                              piece={piece}
-                              isLight={isLight}
-                              fileLabel={fileLabel}
-                              rankLabel={rankLabel}
-                              row={rIdx}
-                              col={cIdx}
-                              flipped={flipped}
-                            />
-                          );
-                        })
+                            return (
+                              <BoardSquare
+                                key={`${rIdx}-${cIdx}`}
+                                piece={piece}
+                                isLight={isLight}
+                                fileLabel={fileLabel}
+                                rankLabel={rankLabel}
+                                row={rIdx}
+                                col={cIdx}
+                                flipped={flipped}
+                                onSquareClick={currentLegal ? handleSquareClick : undefined}
+                                onPieceDragStart={currentLegal ? handlePieceDragStart : undefined}
+                                onSquareDrop={currentLegal ? handleSquareDrop : undefined}
+                                isSelected={!!selectedSquare && arraysEqual(toBoardSquare(rIdx, cIdx), selectedSquare)}
+                                isTarget={moveTargets.has(`${rIdx}-${cIdx}`)}
+                              />
+                            );
+                          })
+                        )}
+
+                        <BoardAnnotations
+                          arrows={currentMove?.arrows}
+                          highlights={currentMove?.highlights}
+                          flipped={flipped}
+                        />
+                      </div>
+                    
+                      {/* Board Overlay Effects */}
+                      <div className="absolute inset-0 pointer-events-none rounded-xl sm:rounded-2xl border-2 border-white/5 shadow-inner"></div>
+
+                      {/* Promotion picker */}
+                      {pendingPromotion && (
+                        <div className="absolute inset-0 z-30 flex items-center justify-center bg-slate-900/50 rounded-xl sm:rounded-2xl">
+                          <div className="flex gap-2 p-3 bg-slate-800 border border-slate-600 rounded-xl shadow-2xl">
+                            {pendingPromotion.moves.map(m => (
+                              <button
+                                key={m.promotion}
+                                onClick={() => playBoardMove(m)}
+                                className="p-1 rounded-lg bg-amber-100 hover:bg-amber-200 transition-colors"
+                                title={`Promote to ${{ q: 'queen', r: 'rook', b: 'bishop', n: 'knight' }[m.promotion.toLowerCase()]}`}
+                              >
+                                <img src={PIECE_SYMBOLS[m.promotion]} alt={m.promotion} className="w-10 h-10 sm:w-12 sm:h-12" draggable="false" />
+                              </button>
+                            ))}
+                            <button
+                              onClick={() => setPendingPromotion(null)}
+                              className="px-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors"
+                              title="Cancel"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                        </div>
                       )}
                     </div>
-                    
-                    {/* Board Overlay Effects */}
-                    <div className="absolute inset-0 pointer-events-none rounded-xl sm:rounded-2xl border-2 border-white/5 shadow-inner"></div>
+
+                    {timeLine && (
+                      <PlayerClock
+                        name={(flipped ? currentGame.headers.Black : currentGame.headers.White) || (flipped ? 'Black' : 'White')}
+                        seconds={timeLine.clocks[flipped ? 'b' : 'w']}
+                        isWhite={!flipped}
+                        active={timeLine.active === (flipped ? 'b' : 'w')}
+                      />
+                    )}
                   </div>
                 </div>
               </div>
@@ -1694,6 +2526,14 @@ export default function App() {
               />
             )}
 
+            {timeLine && (
+              <TimeUsageChart
+                entries={timeLine.entries}
+                currentPath={currentPath}
+                onSelect={setCurrentPath}
+              />
+            )}
+
             {/* Enhanced Navigation Controls */}
             <div className="flex justify-center gap-3 sm:gap-4">
               <button 
@@ -1765,6 +2605,7 @@ export default function App() {
                     seq={currentGame.moves} 
                     currentPath={currentPath} 
                     onSelect={setCurrentPath} 
+                    onMoveMenu={openMoveMenu}
                   />
                 </div>
               </div>
@@ -1787,14 +2628,12 @@ export default function App() {
                   Game Information
                 </h3>
                 
-                <div className="space-y-2 sm:space-y-3">
-                  {Object.entries(currentGame.headers || {}).slice(0, 6).map(([key, value]) => (
-                    <div key={key} className="flex justify-between items-center py-1 sm:py-2 border-b border-slate-700/30 last:border-b-0">
-                      <span className="text-xs sm:text-sm text-slate-400 capitalize truncate mr-2">{key}:</span>
-                      <span className="text-xs sm:text-sm text-slate-200 font-medium text-right truncate">{value}</span>
-                    </div>
-                  ))}
-                </div>
+                <HeaderEditor
+                  key={currentGameIndex}
+                  headers={currentGame.headers || {}}
+                  result={currentGame.result}
+                  onChange={updateHeaders}
+                />
               </div>
             )}
           </div>
@@ -1803,36 +2642,60 @@ export default function App() {
           <div className="xl:col-span-3 space-y-4 sm:space-y-6">
             
             {/* Enhanced Move Comments */}
-            {currentMove?.comment && (
+            {currentMove && (
               <div className="bg-gradient-to-br from-blue-500/10 to-purple-500/10 rounded-xl sm:rounded-2xl p-4 sm:p-5 shadow-xl border border-blue-500/20 backdrop-blur-sm">
                 <div className="flex items-center gap-2 sm:gap-3 mb-3 sm:mb-4">
                   <div className="w-6 h-6 sm:w-8 sm:h-8 bg-blue-500 rounded-lg sm:rounded-xl flex items-center justify-center">
                     <span className="text-white text-sm sm:text-lg">💬</span>
                   </div>
-                  <div>
+                  <div className="flex-1">
                     <h3 className="font-semibold text-white text-sm sm:text-base">Move Analysis</h3>
                     <p className="text-xs sm:text-sm text-blue-300">
-                      {Math.floor(currentMove.number)}{currentMove.number % 1 === 0 ? '' : '...'} {currentMove.move}
+                      {Math.floor(currentMove.number)}{currentMove.number % 1 === 0 ? '' : '...'} {currentMove.move} <NagGlyphs nags={currentMove.nags} />
                     </p>
                   </div>
-                </div>
-                
-                <div className="bg-slate-800/40 rounded-lg sm:rounded-xl p-3 sm:p-4 border border-slate-700/50">
-                  <p className={`text-slate-200 text-xs sm:text-sm leading-relaxed ${
-                    !commentExpanded && currentMove.comment.length > 150 ? 'line-clamp-4' : ''
-                  }`}>
-                    {currentMove.comment}
-                  </p>
-                  
-                  {currentMove.comment.length > 150 && (
+                  {!editingComment && (
                     <button
-                      onClick={() => setCommentExpanded(!commentExpanded)}
-                      className="text-blue-400 hover:text-blue-300 text-xs font-medium mt-2 transition-colors flex items-center gap-1"
+                      onClick={() => setEditingComment(true)}
+                      className="p-1.5 rounded-lg bg-slate-700/60 hover:bg-slate-600 text-xs transition-colors"
+                      title={currentMove.comment || currentMove.commentBefore ? 'Edit comments' : 'Add a comment'}
                     >
-                      {commentExpanded ? 'Show less ↑' : 'Show more ↓'}
+                      ✏️
                     </button>
                   )}
                 </div>
+                
+                <div className="bg-slate-800/40 rounded-lg sm:rounded-xl p-3 sm:p-4 border border-slate-700/50 mb-3">
+                  {editingComment ? (
+                    <CommentEditor move={currentMove} onSave={saveComments} onCancel={() => setEditingComment(false)} />
+                  ) : currentMove.comment || currentMove.commentBefore ? (
+                    <>
+                      {currentMove.commentBefore && (
+                        <p className="text-slate-400 text-xs sm:text-sm italic leading-relaxed mb-2">{currentMove.commentBefore}</p>
+                      )}
+                      <p className={`text-slate-200 text-xs sm:text-sm leading-relaxed ${
+                        !commentExpanded && currentMove.comment.length > 150 ? 'line-clamp-4' : ''
+                      }`}>
+                        {currentMove.comment}
+                      </p>
+                      
+                      {currentMove.comment.length > 150 && (
+                        <button
+                          onClick={() => setCommentExpanded(!commentExpanded)}
+                          className="text-blue-400 hover:text-blue-300 text-xs font-medium mt-2 transition-colors flex items-center gap-1"
+                        >
+                          {commentExpanded ? 'Show less ↑' : 'Show more ↓'}
+                        </button>
+                      )}
+                    </>
+                  ) : (
+                    <button onClick={() => setEditingComment(true)} className="text-slate-500 hover:text-slate-300 text-xs sm:text-sm italic transition-colors">
+                      No comment — click to add one
+                    </button>
+                  )}
+                </div>
+
+                <NagPalette nags={currentMove.nags} onToggle={toggleCurrentNag} />
               </div>
             )}
 
@@ -1864,11 +2727,146 @@ export default function App() {
                 <button 
                   onClick={exportPGN} 
                   disabled={!currentGame}
-                  className="analysis-tool-btn disabled:opacity-30 disabled:cursor-not-allowed col-span-2"
+                  className="analysis-tool-btn disabled:opacity-30 disabled:cursor-not-allowed"
                 >
                   <span className="text-lg sm:text-xl">📄</span>
-                  <span className="text-xs font-medium">Export PGN</span>
+                  <span className="text-xs font-medium">Copy PGN</span>
+                </button>
+
+                <button 
+                  onClick={downloadPGN} 
+                  disabled={!currentGame}
+                  className="analysis-tool-btn disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  <span className="text-lg sm:text-xl">💾</span>
+                  <span className="text-xs font-medium">Download PGN</span>
+                </button>
+
+                <button 
+                  onClick={downloadJSON} 
+                  disabled={!currentGame}
+                  className="analysis-tool-btn disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  <span className="text-lg sm:text-xl">🧾</span>
+                  <span className="text-xs font-medium">Download JSON</span>
+                </button>
+
+                <button 
+                  onClick={() => setShowReport(true)} 
+                  disabled={!currentGame}
+                  className="analysis-tool-btn disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  <span className="text-lg sm:text-xl">🖨️</span>
+                  <span className="text-xs font-medium">Print Report</span>
+                </button>
+
+                <button 
+                  onClick={() => exportDiagram('svg')} 
+                  className="analysis-tool-btn"
+                >
+                  <span className="text-lg sm:text-xl">🖼️</span>
+                  <span className="text-xs font-medium">SVG Diagram</span>
                 </button>
+
+                <button 
+                  onClick={() => exportDiagram('png')} 
+                  className="analysis-tool-btn"
+                >
+                  <span className="text-lg sm:text-xl">🏞️</span>
+                  <span className="text-xs font-medium">PNG Diagram</span>
+                </button>
+              </div>
+
+              <div className="mt-3 sm:mt-4 pt-3 border-t border-slate-700/50 space-y-2 text-xs text-slate-300">
+                <div className="flex items-center gap-2">
+                  <select
+                    value={diagramOptions.size}
+                    onChange={e => setDiagramOptions(prev => ({ ...prev, size: Number(e.target.value) }))}
+                    className="flex-1 px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                  >
+                    {[240, 400, 600, 800, 1200].map(px => (
+                      <option key={px} value={px}>{px}px</option>
+                    ))}
+                  </select>
+                  <select
+                    value={diagramOptions.orientation}
+                    onChange={e => setDiagramOptions(prev => ({ ...prev, orientation: e.target.value }))}
+                    className="flex-1 px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                  >
+                    <option value="auto">As shown</option>
+                    <option value="white">White below</option>
+                    <option value="black">Black below</option>
+                  </select>
+                </div>
+                <div className="flex flex-wrap gap-x-3 gap-y-1">
+                  {[['coordinates', 'Coordinates'], ['sideToMove', 'Side to move'], ['annotations', 'Arrows & highlights']].map(([key, label]) => (
+                    <label key={key} className="flex items-center gap-1.5 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={diagramOptions[key]}
+                        onChange={e => setDiagramOptions(prev => ({ ...prev, [key]: e.target.checked }))}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="mt-3 sm:mt-4 pt-3 border-t border-slate-700/50 space-y-2 text-xs text-slate-300">
+                <div className="grid grid-cols-2 gap-2">
+                  <select
+                    value={gifOptions.line}
+                    onChange={e => setGifOptions(prev => ({ ...prev, line: e.target.value }))}
+                    className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                  >
+                    <option value="main">Main line</option>
+                    <option value="current">Line to current move</option>
+                  </select>
+                  <select
+                    value={gifOptions.delay}
+                    onChange={e => setGifOptions(prev => ({ ...prev, delay: Number(e.target.value) }))}
+                    className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                  >
+                    {[250, 500, 1000, 1500, 2000, 3000].map(ms => (
+                      <option key={ms} value={ms}>{ms / 1000}s per move</option>
+                    ))}
+                  </select>
+                  <select
+                    value={gifOptions.size}
+                    onChange={e => setGifOptions(prev => ({ ...prev, size: Number(e.target.value) }))}
+                    className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                  >
+                    {[240, 320, 480, 640].map(px => (
+                      <option key={px} value={px}>{px}px</option>
+                    ))}
+                  </select>
+                  <select
+                    value={gifOptions.orientation}
+                    onChange={e => setGifOptions(prev => ({ ...prev, orientation: e.target.value }))}
+                    className="px-2 py-1 bg-slate-800/50 border border-slate-600/50 rounded-lg text-white focus:border-blue-400 focus:outline-none"
+                  >
+                    <option value="auto">As shown</option>
+                    <option value="white">White below</option>
+                    <option value="black">Black below</option>
+                  </select>
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                  <label className="flex items-center gap-1.5 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={gifOptions.header}
+                      onChange={e => setGifOptions(prev => ({ ...prev, header: e.target.checked }))}
+                    />
+                    Players &amp; result strip
+                  </label>
+                  <button
+                    onClick={exportGif}
+                    disabled={!currentGame || isEncodingGif}
+                    className="px-3 py-1.5 bg-blue-600/50 hover:bg-blue-500/50 disabled:opacity-30 disabled:cursor-not-allowed rounded-lg border border-blue-500/30 transition-colors"
+                  >
+                    {isEncodingGif ? 'Encoding…' : '🎞️ Export GIF'}
+                  </button>
+                </div>
               </div>
             </div>
 
@@ -1905,7 +2903,7 @@ export default function App() {
                           <button
                             onClick={() => {
                               setCurrentGameIndex(bm.gameIndex);
-                              setCurrentPath(bm.movePath);
+                              setCurrentPath(isValidPath(games[bm.gameIndex]?.moves, bm.movePath) ? bm.movePath : []);
                               setCommentExpanded(false);
                             }}
                             className="p-1 bg-blue-500 hover:bg-blue-400 rounded transition-colors text-white text-xs"
@@ -1948,7 +2946,9 @@ export default function App() {
                   { keys: ['Ctrl+B'], action: 'Bookmark' },
                   { keys: ['Ctrl+F'], action: 'Search' },
                   { keys: ['Shift+F'], action: 'Flip board' },
-                  { keys: ['Ctrl+T'], action: 'Toggle theme' }
+                  { keys: ['Ctrl+T'], action: 'Toggle theme' },
+                  { keys: ['Ctrl+Z'], action: 'Undo edit' },
+                  { keys: ['Ctrl+Shift+Z'], action: 'Redo edit' }
                 ].map((shortcut, idx) => (
                   <div key={idx} className="flex items-center justify-between py-1 sm:py-2 border-b border-slate-700/30 last:border-b-0">
                     <div className="flex items-center gap-1 sm:gap-2">
@@ -1984,12 +2984,75 @@ export default function App() {
               </p>
             </div>
 
+            <div className="mb-6 sm:mb-8 p-4 sm:p-6 bg-slate-800/40 rounded-2xl border border-slate-700/50 space-y-4">
+              <div className="flex flex-col sm:flex-row gap-3">
+                <input
+                  type="text"
+                  value={collectionFilter}
+                  onChange={e => setCollectionFilter(e.target.value)}
+                  placeholder="Filter by player, event, site, date..."
+                  className="flex-1 px-4 py-2 bg-slate-800/50 border border-slate-600/50 rounded-xl text-white text-sm placeholder-slate-400 focus:border-blue-400 focus:outline-none"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setSelectedGames(prev => new Set([...prev, ...filteredGames.map(({ index }) => index)]))}
+                    className="px-3 py-2 bg-slate-700/50 hover:bg-slate-600/50 rounded-xl border border-slate-600/50 transition-all duration-300 text-xs sm:text-sm font-medium"
+                  >
+                    Select shown
+                  </button>
+                  <button
+                    onClick={() => setSelectedGames(new Set())}
+                    disabled={!selectedGames.size}
+                    className="px-3 py-2 bg-slate-700/50 hover:bg-slate-600/50 disabled:opacity-50 rounded-xl border border-slate-600/50 transition-all duration-300 text-xs sm:text-sm font-medium"
+                  >
+                    Clear selection
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap items-center gap-3 sm:gap-4 text-xs sm:text-sm text-slate-300">
+                <select
+                  value={exportScope}
+                  onChange={e => setExportScope(e.target.value)}
+                  className="px-3 py-2 bg-slate-800/50 border border-slate-600/50 rounded-xl text-white focus:border-blue-400 focus:outline-none"
+                >
+                  <option value="all">All games ({games.length})</option>
+                  <option value="selected">Selected games ({selectedGames.size})</option>
+                  <option value="filtered">Filter result ({filteredGames.length})</option>
+                </select>
+                <select
+                  value={exportFormat}
+                  onChange={e => setExportFormat(e.target.value)}
+                  className="px-3 py-2 bg-slate-800/50 border border-slate-600/50 rounded-xl text-white focus:border-blue-400 focus:outline-none"
+                >
+                  <option value="pgn">PGN</option>
+                  <option value="json">JSON game tree</option>
+                </select>
+                {exportFormat === 'pgn' && [['comments', 'Comments'], ['variations', 'Variations'], ['clocks', 'Clocks']].map(([key, label]) => (
+                  <label key={key} className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={exportOptions[key]}
+                      onChange={e => setExportOptions(prev => ({ ...prev, [key]: e.target.checked }))}
+                    />
+                    {label}
+                  </label>
+                ))}
+                <button
+                  onClick={exportCollection}
+                  className="ml-auto px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 rounded-xl transition-all duration-300 font-semibold text-white"
+                >
+                  Download {exportFormat === 'json' ? 'JSON' : 'PGN'}
+                </button>
+              </div>
+            </div>
+
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 sm:gap-6">
-              {games.map((g, idx) => {
+              {filteredGames.slice(0, visibleGameCount).map(({ game: g, index: idx }) => {
                 const white = g.headers.White || 'Unknown';
                 const black = g.headers.Black || 'Unknown';
                 const event = g.headers.Event || `Game ${idx + 1}`;
-                const result = g.headers.Result || '*';
+                const result = g.headers.Result || g.result || '*';
                 const date = g.headers.Date ? new Date(g.headers.Date).getFullYear() : '';
                 
                 return (
@@ -2008,6 +3071,14 @@ export default function App() {
                   >
                     <div className="p-4 sm:p-6 border-b border-slate-700/50">
                       <div className="flex items-start justify-between mb-3 sm:mb-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedGames.has(idx)}
+                          onClick={e => e.stopPropagation()}
+                          onChange={() => toggleGameSelected(idx)}
+                          className="mt-1 mr-3 flex-shrink-0 cursor-pointer"
+                          title="Select for export"
+                        />
                         <h3 className="font-bold text-white text-sm sm:text-lg leading-tight group-hover:text-blue-300 transition-colors line-clamp-2 flex-1 pr-3 sm:pr-4">
                           {event}
                         </h3>
@@ -2090,11 +3161,26 @@ export default function App() {
                 );
               })}
             </div>
+
+            {filteredGames.length > visibleGameCount && (
+              <div className="text-center mt-6 sm:mt-8">
+                <button
+                  onClick={() => setVisibleGameCount(count => count + COLLECTION_PAGE_SIZE)}
+                  className="px-4 sm:px-6 py-2 sm:py-3 bg-slate-700/50 hover:bg-slate-600/50 rounded-xl border border-slate-600/50 transition-all duration-300 text-xs sm:text-sm font-medium"
+                >
+                  Show more ({filteredGames.length - visibleGameCount} remaining)
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
 
       {/* Enhanced Notification System */}
+      {moveMenu && currentGame && (
+        <MoveContextMenu menu={moveMenu} moves={currentGame.moves} onAction={applyTreeAction} onClose={closeMoveMenu} />
+      )}
+
       {notice && (
         <div className="fixed bottom-4 right-4 sm:bottom-6 sm:right-6 bg-gradient-to-r from-blue-600 to-purple-600 text-white px-4 sm:px-6 py-3 sm:py-4 rounded-xl sm:rounded-2xl shadow-2xl border border-blue-400/30 backdrop-blur-sm transform animate-bounce-in z-50 max-w-xs sm:max-w-sm">
           <div className="flex items-center gap-2 sm:gap-3">
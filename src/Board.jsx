@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { ChessUtils } from './chessUtils.js';
+import { PIECE_SYMBOLS } from './glyphs.js';
+
+// Enhanced Board Square with larger mobile sizing
+export const BoardSquare = React.memo(({
+  piece, isLight, fileLabel, rankLabel, row, col, flipped, onSquareClick,
+  isSelected, isTarget, onPieceDragStart, onSquareDrop
+}) => {
+  const [isHovered, setIsHovered] = useState(false);
+  
+  return (
+    <div
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+      onClick={() => onSquareClick?.(row, col)}
+      draggable={!!(piece && onPieceDragStart)}
+      onDragStart={(ev) => {
+        ev.dataTransfer.effectAllowed = 'move';
+        ev.dataTransfer.setData('text/plain', `${row},${col}`);
+        onPieceDragStart?.(row, col);
+      }}
+      onDragOver={onSquareDrop ? (ev) => ev.preventDefault() : undefined}
+      onDrop={onSquareDrop ? (ev) => { ev.preventDefault(); onSquareDrop(row, col); } : undefined}
+      className={`
+        relative flex items-center justify-center 
+        w-10 h-10 xs:w-12 xs:h-12 sm:w-14 sm:h-14 md:w-16 md:h-16 lg:w-18 lg:h-18 xl:w-20 xl:h-20
+        transition-all duration-200 transform
+        ${isLight 
+          ? 'bg-amber-100 hover:bg-amber-200' 
+          : 'bg-slate-600 hover:bg-slate-500'
+        }
+        ${isHovered ? 'scale-105 z-10 shadow-lg' : 'scale-100'}
+        border border-slate-300/30
+        cursor-pointer
+      `}
+    >
+      {/* Coordinate labels */}
+      {row === (flipped ? 0 : 7) && (
+        <span className="absolute bottom-1 right-1 text-[10px] xs:text-xs font-bold text-slate-700 opacity-70">
+          {fileLabel}
+        </span>
+      )}
+      {col === (flipped ? 7 : 0) && (
+        <span className="absolute top-1 left-1 text-[10px] xs:text-xs font-bold text-slate-700 opacity-70">
+          {rankLabel}
+        </span>
+      )}
+      
+      {/* Hover highlight */}
+      {isHovered && (
+        <div className="absolute inset-0 bg-yellow-400/20 rounded pointer-events-none"></div>
+      )}
+
+      {isSelected && <div className="absolute inset-0 bg-emerald-400/40 pointer-events-none"></div>}
+
+      {/* Legal destination: a dot on empty squares, a ring around capturable pieces */}
+      {isTarget && (piece ? (
+        <div className="absolute inset-0.5 rounded-full border-4 border-emerald-500/60 pointer-events-none z-10"></div>
+      ) : (
+        <div className="absolute w-1/3 h-1/3 rounded-full bg-emerald-500/50 pointer-events-none z-10"></div>
+      ))}
+      
+      {piece && (
+        <img
+          src={PIECE_SYMBOLS[piece]}
+          alt={piece}
+          className="w-8 h-8 xs:w-10 xs:h-10 sm:w-12 sm:h-12 md:w-14 md:h-14 lg:w-16 lg:h-16 xl:w-18 xl:h-18 drop-shadow-lg transition-transform duration-200 hover:scale-110 select-none"
+          draggable="false"
+        />
+      )}
+    </div>
+  );
+});
+
+// %cal arrows and %csl square highlights drawn over the board grid
+export const BoardAnnotations = ({ arrows = [], highlights = [], flipped }) => {
+  if (!arrows.length && !highlights.length) return null;
+
+  // Center of a square in board units (each square is 1x1)
+  const center = (square) => {
+    const [row, col] = ChessUtils.parseSquare(square);
+    return flipped ? [7 - col + 0.5, 7 - row + 0.5] : [col + 0.5, row + 0.5];
+  };
+  const colorOf = (c) => ChessUtils.ANNOTATION_COLORS[c] || ChessUtils.ANNOTATION_COLORS.G;
+
+  return (
+    <svg viewBox="0 0 8 8" className="absolute inset-0 w-full h-full pointer-events-none z-20">
+      <defs>
+        {Object.entries(ChessUtils.ANNOTATION_COLORS).map(([key, color]) => (
+          <marker key={key} id={`arrowhead-${key}`} markerWidth="4" markerHeight="4" refX="2.05" refY="2" orient="auto">
+            <path d="M0,0 L4,2 L0,4 z" fill={color} />
+          </marker>
+        ))}
+      </defs>
+
+      {highlights.map((h, i) => {
+        const [x, y] = center(h.square);
+        return (
+          <circle key={`h${i}`} cx={x} cy={y} r="0.46" fill="none" stroke={colorOf(h.color)} strokeWidth="0.07" opacity="0.8" />
+        );
+      })}
+
+      {arrows.map((a, i) => {
+        const [x1, y1] = center(a.from);
+        const [x2, y2] = center(a.to);
+        const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+        // Stop short so the arrowhead tip lands on the square center
+        const ex = x2 - ((x2 - x1) / len) * 0.3;
+        const ey = y2 - ((y2 - y1) / len) * 0.3;
+        return (
+          <line
+            key={`a${i}`}
+            x1={x1} y1={y1} x2={ex} y2={ey}
+            stroke={colorOf(a.color)}
+            strokeWidth="0.15"
+            strokeLinecap="round"
+            opacity="0.8"
+            markerEnd={`url(#arrowhead-${ChessUtils.ANNOTATION_COLORS[a.color] ? a.color : 'G'})`}
+          />
+        );
+      })}
+    </svg>
+  );
+};
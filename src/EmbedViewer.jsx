@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { ChessUtils } from './chessUtils.js';
+import { arraysEqual, flattenSeq, getLine, isValidPath } from './movePaths.js';
+import { MoveSequence } from './MoveSequence.jsx';
+import { BoardSquare, BoardAnnotations } from './Board.jsx';
+
+/**
+ * Compact viewer for embed.html, shown inside the <pgn-viewer> element's
+ * iframe or embedded directly. Configured by query parameters
+ * (src, ply, orientation, theme) and driven by window.postMessage.
+ *
+ * Host -> viewer: { source: 'pgn-viewer', type: 'load', pgn, game?, ply? }
+ *                 { source: 'pgn-viewer', type: 'goto', ply } | { ..., path }
+ *                 { source: 'pgn-viewer', type: 'game', index }
+ *                 { source: 'pgn-viewer', type: 'orientation', value: 'white' | 'black' }
+ *                 { source: 'pgn-viewer', type: 'theme', value: 'dark' | 'light' }
+ * Viewer -> host: ready, loaded { games: [headers] }, movechange { gameIndex, path, ply, san, fen },
+ *                 resize { height }, error { message }
+ */
+
+const MESSAGE_SOURCE = 'pgn-viewer';
+
+const post = (type, data = {}) => {
+  if (window.parent !== window) window.parent.postMessage({ source: MESSAGE_SOURCE, type, ...data }, '*');
+};
+
+// Main-line path for a ply count from the start of the game (0 = starting position)
+const plyToPath = (moves, ply) => {
+  const index = Math.min(Math.max(0, Math.floor(ply) || 0), moves.length) - 1;
+  return index < 0 ? [] : [index];
+};
+
+const EmbedViewer = ({ initialSrc, initialPly, initialFlipped, initialTheme }) => {
+  const [games, setGames] = useState([]);
+  const [gameIndex, setGameIndex] = useState(0);
+  const [path, setPath] = useState([]);
+  const [flipped, setFlipped] = useState(initialFlipped);
+  const [theme, setTheme] = useState(initialTheme);
+  const [error, setError] = useState('');
+
+  const game = games[gameIndex] || null;
+  // Latest games and selection for the message handler
+  const viewRef = useRef({ games, gameIndex });
+  viewRef.current = { games, gameIndex };
+
+  const loadPgn = useCallback((pgn, { game: index = 0, ply = 0 } = {}) => {
+    const parsed = ChessUtils.parsePGN(pgn || '');
+    const chosen = parsed[index] ? index : 0;
+    setGames(parsed);
+    setGameIndex(chosen);
+    setPath(plyToPath(parsed[chosen]?.moves || [], ply));
+    setError(parsed.length ? '' : 'No games found');
+    post('loaded', { games: parsed.map(g => g.headers) });
+  }, []);
+
+  useEffect(() => {
+    if (!initialSrc) return;
+    fetch(initialSrc)
+      .then(res => {
+        if (!res.ok) throw new Error(`Could not load ${initialSrc}`);
+        return res.text();
+      })
+      .then(text => loadPgn(text, { ply: initialPly }))
+      .catch(err => {
+        setError(err.message);
+        post('error', { message: err.message });
+      });
+  }, [initialSrc, initialPly, loadPgn]);
+
+  useEffect(() => {
+    const onMessage = (ev) => {
+      const msg = ev.data;
+      if (!msg || msg.source !== MESSAGE_SOURCE) return;
+      if (msg.type === 'load') loadPgn(msg.pgn, { game: msg.game, ply: msg.ply });
+      if (msg.type === 'game' && viewRef.current.games[msg.index]) {
+        setGameIndex(msg.index);
+        setPath([]);
+      }
+      if (msg.type === 'goto') {
+        const { games: current, gameIndex: index } = viewRef.current;
+        const moves = current[index]?.moves || [];
+        if (Array.isArray(msg.path)) {
+          if (!msg.path.length || isValidPath(moves, msg.path)) setPath(msg.path);
+        } else {
+          setPath(plyToPath(moves, msg.ply));
+        }
+      }
+      if (msg.type === 'orientation') setFlipped(msg.value === 'black');
+      if (msg.type === 'theme') setTheme(msg.value === 'light' ? 'light' : 'dark');
+    };
+    window.addEventListener('message', onMessage);
+    post('ready');
+    return () => window.removeEventListener('message', onMessage);
+  }, [loadPgn]);
+
+  const line = useMemo(() => (game && path.length ? getLine(game.moves, path) : []), [game, path]);
+  const lineIndex = line.findIndex(e => arraysEqual(e.path, path));
+  const move = lineIndex >= 0 ? line[lineIndex].move : null;
+  const fen = move?.fenAfter || game?.initialFen || ChessUtils.initialFen;
+
+  useEffect(() => {
+    if (!game) return;
+    post('movechange', { gameIndex, path, ply: lineIndex + 1, san: move?.san || null, fen });
+  }, [game, gameIndex, path, lineIndex, move, fen]);
+
+  // Report content height so the host can size the iframe
+  useEffect(() => {
+    const observer = new ResizeObserver(() => post('resize', { height: document.documentElement.scrollHeight }));
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, []);
+
+  const flat = useMemo(() => (game ? flattenSeq(game.moves) : []), [game]);
+  const step = useCallback((delta) => {
+    setPath(current => {
+      const index = current.length ? flat.findIndex(p => arraysEqual(p, current)) : -1;
+      const next = Math.min(Math.max(index + delta, -1), flat.length - 1);
+      return next === -1 ? [] : flat[next];
+    });
+  }, [flat]);
+
+  useEffect(() => {
+    const handler = (ev) => {
+      if (ev.key === 'ArrowLeft') { ev.preventDefault(); step(-1); }
+      if (ev.key === 'ArrowRight') { ev.preventDefault(); step(1); }
+      if (ev.key === 'Home') { ev.preventDefault(); setPath([]); }
+      if (ev.key === 'End') { ev.preventDefault(); setPath(flat[flat.length - 1] || []); }
+    };
+    window.addEventListener('keydown', handler);
+    return () => window.removeEventListener('keydown', handler);
+  }, [step, flat]);
+
+  const board = useMemo(() => {
+    const b = ChessUtils.fenToBoard(fen);
+    return flipped ? b.map((row, r) => row.map((_, c) => b[7 - r][7 - c])) : b;
+  }, [fen, flipped]);
+
+  const dark = theme !== 'light';
+  const buttonClass = `px-3 py-1.5 rounded-lg text-sm transition-colors ${
+    dark ? 'bg-slate-700 hover:bg-slate-600 text-slate-100' : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+  }`;
+
+  return (
+    <div className={`p-3 ${dark ? 'bg-slate-900 text-slate-200' : 'bg-white text-slate-800'}`}>
+      {game && (
+        <div className="flex items-center justify-between mb-2 text-sm font-semibold">
+          <span className="truncate">{game.headers.White || '?'} – {game.headers.Black || '?'}</span>
+          <span>{game.headers.Result || game.result || '*'}</span>
+        </div>
+      )}
+      {error && <div className="mb-2 text-sm text-red-400">{error}</div>}
+
+      <div className="flex flex-col md:flex-row gap-3">
+        <div className="flex-shrink-0">
+          <div className="relative grid grid-cols-8 w-fit border-2 border-slate-600 rounded-lg overflow-hidden">
+            {board.map((row, r) => row.map((piece, c) => (
+              <BoardSquare
+                key={`${r}-${c}`}
+                piece={piece}
+                isLight={(r + c) % 2 === 0}
+                fileLabel={String.fromCharCode(97 + (flipped ? 7 - c : c))}
+                rankLabel={flipped ? r + 1 : 8 - r}
+                row={r}
+                col={c}
+                flipped={flipped}
+              />
+            )))}
+            <BoardAnnotations arrows={move?.arrows} highlights={move?.highlights} flipped={flipped} />
+          </div>
+
+          <div className="flex justify-center gap-2 mt-2">
+            <button onClick={() => setPath([])} className={buttonClass} title="Start">⏮</button>
+            <button onClick={() => step(-1)} className={buttonClass} title="Previous move">◀</button>
+            <button onClick={() => step(1)} className={buttonClass} title="Next move">▶</button>
+            <button onClick={() => setPath(flat[flat.length - 1] || [])} className={buttonClass} title="End">⏭</button>
+            <button onClick={() => setFlipped(f => !f)} className={buttonClass} title="Flip board">⇅</button>
+          </div>
+        </div>
+
+        {game && (
+          <div className={`flex-1 min-w-0 max-h-96 overflow-y-auto rounded-lg p-2 ${dark ? 'bg-slate-800' : 'bg-slate-100'}`}>
+            <MoveSequence seq={game.moves} currentPath={path} onSelect={setPath} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmbedViewer;
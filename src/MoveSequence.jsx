@@ -0,0 +1,143 @@
+import React from 'react';
+import { NAG_GLYPHS } from './glyphs.js';
+import { arraysEqual } from './movePaths.js';
+
+// NAG glyphs attached to a move; unknown codes fall back to $n
+export const NagGlyphs = ({ nags }) => {
+  if (!nags?.length) return null;
+  return (
+    <span className="inline-flex items-center gap-0.5 text-xs font-bold">
+      {nags.map((nag, i) => {
+        const info = NAG_GLYPHS[nag];
+        return (
+          <span key={i} className={info?.className || 'text-slate-400'} title={info?.title || `NAG ${nag}`}>
+            {info?.glyph || `$${nag}`}
+          </span>
+        );
+      })}
+    </span>
+  );
+};
+
+// Enhanced Professional MoveSequence inspired by Lichess
+export const MoveSequence = React.memo(({ seq, pathPrefix = [], depth = 0, currentPath, onSelect, onMoveMenu, isInline = false }) => {
+  const elements = [];
+  let i = 0;
+  while (i < seq.length) {
+    const whiteIndex = i;
+    const whiteMove = seq[i];
+    const whitePath = [...pathPrefix, whiteIndex];
+    const isWhiteActive = arraysEqual(whitePath, currentPath);
+
+    i++;
+    let blackMove = null;
+    let blackPath = null;
+    let isBlackActive = false;
+    let blackIndex = -1;
+    if (i < seq.length && !seq[i].isWhite) {
+      blackIndex = i;
+      blackMove = seq[i];
+      blackPath = [...pathPrefix, blackIndex];
+      isBlackActive = arraysEqual(blackPath, currentPath);
+      i++;
+    }
+
+    const Container = isInline ? 'span' : 'div';
+    const containerClass = isInline ? 'inline-flex items-center gap-1 mr-1' : 'flex items-center gap-1 sm:gap-2 py-0.5';
+
+    elements.push(
+      <Container key={whiteMove.number} className={containerClass}>
+        {!isInline && (
+          <span className="move-number flex-shrink-0 text-xs font-medium text-slate-300 w-6 text-right">
+            {Math.floor(whiteMove.number)}.
+          </span>
+        )}
+
+        {whiteMove.commentBefore && (
+          <span className={`text-xs italic ${depth > 0 ? 'text-slate-500' : 'text-slate-400'} mr-1`}>
+            {whiteMove.commentBefore}
+          </span>
+        )}
+
+        <button
+          onClick={() => onSelect(whitePath)}
+          onContextMenu={onMoveMenu ? (ev) => { ev.preventDefault(); onMoveMenu(whitePath, ev.clientX, ev.clientY); } : undefined}
+          className={`px-1 sm:px-2 py-0.5 rounded text-xs font-medium transition-all ${
+            isWhiteActive ? 'bg-blue-600 text-white shadow' : 'hover:bg-slate-600/50 text-slate-200'
+          } ${depth > 0 ? 'text-slate-400' : ''} ${whiteMove.illegal ? 'line-through !text-red-400' : ''}`}
+          title={whiteMove.illegal ? 'Illegal move' : undefined}
+        >
+          {whiteMove.san}
+        </button>
+        <NagGlyphs nags={whiteMove.nags} />
+
+        {whiteMove.comment && (
+          <span className={`text-xs italic ${depth > 0 ? 'text-slate-500' : 'text-slate-400'} mr-1`}>
+            {whiteMove.comment}
+          </span>
+        )}
+
+        {whiteMove.variations && whiteMove.variations.map((v, j) => (
+          <span key={j} className="inline-flex items-center gap-1 text-slate-400">
+            <span>(</span>
+            <MoveSequence
+              seq={v}
+              pathPrefix={[...whitePath, j]}
+              depth={depth + 1}
+              currentPath={currentPath}
+              onSelect={onSelect}
+              onMoveMenu={onMoveMenu}
+              isInline={true}
+            />
+            <span>)</span>
+          </span>
+        ))}
+
+        {blackMove && blackMove.commentBefore && (
+          <span className={`text-xs italic ${depth > 0 ? 'text-slate-500' : 'text-slate-400'} mr-1`}>
+            {blackMove.commentBefore}
+          </span>
+        )}
+
+        {blackMove && (
+          <button
+            onClick={() => onSelect(blackPath)}
+            onContextMenu={onMoveMenu ? (ev) => { ev.preventDefault(); onMoveMenu(blackPath, ev.clientX, ev.clientY); } : undefined}
+            className={`px-1 sm:px-2 py-0.5 rounded text-xs font-medium transition-all ${
+              isBlackActive ? 'bg-blue-600 text-white shadow' : 'hover:bg-slate-600/50 text-slate-200'
+            } ${depth > 0 ? 'text-slate-400' : ''} ${blackMove.illegal ? 'line-through !text-red-400' : ''}`}
+            title={blackMove.illegal ? 'Illegal move' : undefined}
+          >
+            {blackMove.san}
+          </button>
+        )}
+        {blackMove && <NagGlyphs nags={blackMove.nags} />}
+
+        {blackMove && blackMove.comment && (
+          <span className={`text-xs italic ${depth > 0 ? 'text-slate-500' : 'text-slate-400'} mr-1`}>
+            {blackMove.comment}
+          </span>
+        )}
+
+        {blackMove && blackMove.variations && blackMove.variations.map((v, j) => (
+          <span key={j} className="inline-flex items-center gap-1 text-slate-400">
+            <span>(</span>
+            <MoveSequence
+              seq={v}
+              pathPrefix={[...blackPath, j]}
+              depth={depth + 1}
+              currentPath={currentPath}
+              onSelect={onSelect}
+              onMoveMenu={onMoveMenu}
+              isInline={true}
+            />
+            <span>)</span>
+          </span>
+        ))}
+      </Container>
+    );
+  }
+
+  const Wrapper = isInline ? 'span' : 'div';
+  return <Wrapper className={isInline ? 'inline-flex gap-1' : 'space-y-1'}>{elements}</Wrapper>;
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { ChessUtils, INITIAL_FEN, legalMoves, playMove, positionStatus, perft } from '../chessLib.js';
+
+describe('FEN', () => {
+  it('round-trips positions through the state object', () => {
+    const fens = [
+      INITIAL_FEN,
+      'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+      'rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq c6 0 2',
+      'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    ];
+    for (const fen of fens) expect(ChessUtils.stateToFen(ChessUtils.fenToState(fen))).toBe(fen);
+  });
+
+  it('maps boards with rank 8 in row 0', () => {
+    const board = ChessUtils.fenToBoard(INITIAL_FEN);
+    expect(board[0][4]).toBe('k');
+    expect(board[7][4]).toBe('K');
+    expect(ChessUtils.squareName(7, 4)).toBe('e1');
+    expect(ChessUtils.parseSquare('e1')).toEqual([7, 4]);
+  });
+});
+
+describe('perft', () => {
+  const cases = [
+    [INITIAL_FEN, 3, 8902],
+    ['r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', 2, 2039],
+    ['8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', 3, 2812],
+    ['r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', 2, 264],
+    ['rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8', 2, 1486],
+    ['r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10', 2, 2079],
+  ];
+  it.each(cases)('%s depth %i', (fen, depth, nodes) => {
+    expect(perft(fen, depth)).toBe(nodes);
+  });
+
+  const chess960 = [
+    ['bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9', 3, 12189],
+    ['qbbnnrkr/2pp2pp/p7/1p2pp2/8/P3PP2/1PPP1KPP/QBBNNR1R w hf - 0 9', 2, 593],
+    ['1nbbnrkr/p1p1ppp1/3p4/1p3P1p/3Pq2P/8/PPP1P1P1/QNBBNRKR w HFhf - 0 9', 2, 1120],
+  ];
+  it.each(chess960)('Chess960 %s depth %i', (fen, depth, nodes) => {
+    expect(perft(fen, depth)).toBe(nodes);
+  });
+});
+
+describe('SAN', () => {
+  it('lists legal moves in SAN', () => {
+    const moves = legalMoves(INITIAL_FEN);
+    expect(moves).toHaveLength(20);
+    expect(moves).toContain('Nf3');
+    expect(moves).toContain('e4');
+  });
+
+  it('disambiguates and marks check and mate', () => {
+    const fen = playMove(playMove(playMove(INITIAL_FEN, 'd3'), 'e5'), 'Nf3');
+    expect(legalMoves(playMove(fen, 'a6'))).toEqual(expect.arrayContaining(['Nbd2', 'Nfd2']));
+
+    let mate = INITIAL_FEN;
+    for (const san of ['f3', 'e5', 'g4']) mate = playMove(mate, san);
+    expect(legalMoves(mate)).toContain('Qh4#');
+    expect(positionStatus(playMove(mate, 'Qh4'))).toEqual({ check: true, checkmate: true, stalemate: false });
+  });
+
+  it('plays castling, en passant and promotion', () => {
+    expect(playMove('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', 'O-O-O')).toBe('r3k2r/8/8/8/8/8/8/2KR3R b kq - 1 1');
+    expect(playMove('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 2', 'exd6')).toBe('4k3/8/3P4/8/8/8/8/4K3 b - - 0 2');
+    expect(playMove('4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8=N')).toBe('1N2k3/8/8/8/8/8/8/4K3 b - - 0 1');
+  });
+
+  it('accepts LAN, UCI, figurine, localized and null moves', () => {
+    const afterE4 = playMove(INITIAL_FEN, 'e4');
+    expect(playMove(INITIAL_FEN, 'e2e4')).toBe(afterE4);
+    expect(playMove(INITIAL_FEN, 'e2-e4')).toBe(afterE4);
+    expect(playMove(INITIAL_FEN, '♘f3')).toBe(playMove(INITIAL_FEN, 'Nf3'));
+    expect(playMove(INITIAL_FEN, 'Sf3')).toBe(playMove(INITIAL_FEN, 'Nf3'));
+    expect(playMove(INITIAL_FEN, '--')).toBe('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 1 1');
+    expect(ChessUtils.resolveMoveToken(ChessUtils.fenToState(INITIAL_FEN), 'Ng1f3').san).toBe('Nf3');
+  });
+
+  it('rejects illegal and ambiguous moves', () => {
+    expect(() => playMove(INITIAL_FEN, 'e5')).toThrow(/Illegal/);
+    const twoKnights = '4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1';
+    expect(() => playMove(twoKnights, 'Nd2')).toThrow(/Ambiguous/);
+    expect(playMove(twoKnights, 'Nbd2')).toBe('4k3/8/8/8/8/8/3N4/4KN2 b - - 1 1');
+
+    const state = ChessUtils.fenToState(twoKnights);
+    expect(() => ChessUtils.executeMove(state, { san: 'Nd2' })).toThrow(/Ambiguous/);
+    expect(() => ChessUtils.executeMove(state, { san: 'Nc4' })).toThrow(/Illegal/);
+  });
+
+  it('reports stalemate', () => {
+    expect(positionStatus('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1')).toEqual({ check: false, checkmate: false, stalemate: true });
+  });
+});
+
+describe('position setup', () => {
+  it('accepts playable positions', () => {
+    expect(ChessUtils.validatePosition(INITIAL_FEN)).toEqual([]);
+    expect(ChessUtils.validatePosition('rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq c6 0 2')).toEqual([]);
+  });
+
+  it('reports kings, back-rank pawns and a capturable king', () => {
+    expect(ChessUtils.validatePosition('8/8/8/8/8/8/8/4K3 w - - 0 1')).toEqual(['Black needs exactly one king (found 0)']);
+    expect(ChessUtils.validatePosition('P3k3/8/8/8/8/8/8/4K3 w - - 0 1')).toEqual(['Pawns cannot stand on the first or last rank']);
+    expect(ChessUtils.validatePosition('4k3/8/8/8/8/8/8/4K2R w - - 0 1')).toEqual([]);
+    expect(ChessUtils.validatePosition('4k3/8/8/8/8/8/8/4R2K w - - 0 1')).toEqual(["Black is in check but it is White's move"]);
+  });
+
+  it('checks castling rights and the en passant square against the pieces', () => {
+    expect(ChessUtils.validatePosition('4k3/8/8/8/8/8/8/4K3 w K - 0 1')).toEqual(['Castling rights need the king and that rook on their first rank']);
+    expect(ChessUtils.validatePosition('4k3/8/8/8/8/8/8/4K3 w - e6 0 1')).toEqual(['No pawn can have just skipped e6']);
+    expect(ChessUtils.enPassantSquares(ChessUtils.fenToState('4k3/8/8/3pP3/8/8/8/4K3 w - - 0 2'))).toEqual(['d6']);
+  });
+});
+
+describe('comment commands', () => {
+  it('extracts arrows, highlights and clocks from comment text', () => {
+    const move = { comment: '' };
+    ChessUtils.addComment(move, '[%clk 1:02:03.5] [%cal Ge2e4,Rd7d5] Sharp [%csl Yd4] play');
+    expect(move.clock).toBe(3723.5);
+    expect(move.arrows).toEqual([{ color: 'G', from: 'e2', to: 'e4' }, { color: 'R', from: 'd7', to: 'd5' }]);
+    expect(move.highlights).toEqual([{ color: 'Y', square: 'd4' }]);
+    expect(move.comment).toBe('Sharp play');
+    expect(ChessUtils.formatComment(move)).toBe('[%csl Yd4] [%cal Ge2e4,Rd7d5] [%clk 1:02:03.5] Sharp play');
+    expect(ChessUtils.formatComment(move, { clocks: false, comments: false })).toBe('');
+  });
+
+  it('replaces the annotations of a move without touching the original', () => {
+    const move = { comment: '' };
+    ChessUtils.addComment(move, '[%cal Ge2e4] [%clk 0:01:00] Old');
+    const edited = ChessUtils.setComment(move, '[%cal Ge2e4,Rd7d5] New');
+    expect(edited).toMatchObject({ comment: 'New', arrows: [{ color: 'G', from: 'e2', to: 'e4' }, { color: 'R', from: 'd7', to: 'd5' }] });
+    expect(edited.clock).toBeUndefined();
+    expect(move.arrows).toEqual([{ color: 'G', from: 'e2', to: 'e4' }]);
+    expect(move).toMatchObject({ comment: 'Old', clock: 60 });
+    expect(ChessUtils.setComment(move, '')).toEqual({ comment: '' });
+  });
+
+  it('reads time controls', () => {
+    expect(ChessUtils.parseTimeControl('300+2')).toEqual({ base: 300, increment: 2 });
+  });
+});
+
+describe('tags', () => {
+  it('validates tag pairs', () => {
+    expect(ChessUtils.validateTag('Date', '2024.03.??')).toBeNull();
+    expect(ChessUtils.validateTag('Date', '2024-03-01')).toMatch(/YYYY\.MM\.DD/);
+    expect(ChessUtils.validateTag('EventDate', '2024.13.01')).toMatch(/Month/);
+    expect(ChessUtils.validateTag('Result', '1/2-1/2')).toBeNull();
+    expect(ChessUtils.validateTag('Result', '1-1')).toMatch(/Result/);
+    expect(ChessUtils.validateTag('WhiteElo', '2750')).toBeNull();
+    expect(ChessUtils.validateTag('BlackElo', '27o0')).toMatch(/number/);
+    expect(ChessUtils.validateTag('Black Elo', '2700')).toMatch(/Tag names/);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { readdirSync, readFileSync } from 'node:fs';
+import { parsePGN, writePGN, GameJson } from '../chessLib.js';
+
+const fixtures = new URL('./fixtures/', import.meta.url);
+const files = readdirSync(fixtures).filter(name => name.endsWith('.pgn'));
+
+const parse = (text) => {
+  const diagnostics = [];
+  const games = parsePGN(text, { diagnostics });
+  return { games, diagnostics };
+};
+
+describe.each(files)('corpus %s', (name) => {
+  const text = readFileSync(new URL(name, fixtures), 'utf8');
+
+  it('parses without diagnostics', () => {
+    const { games, diagnostics } = parse(text);
+    expect(diagnostics).toEqual([]);
+    expect(games.length).toBeGreaterThan(0);
+    for (const game of games) expect(game.moves.length).toBeGreaterThan(0);
+  });
+
+  it('round-trips through the PGN writer', () => {
+    const { games } = parse(text);
+    const written = writePGN(games);
+    const reparsed = parse(written);
+    expect(reparsed.diagnostics).toEqual([]);
+    expect(reparsed.games).toEqual(games);
+    expect(writePGN(reparsed.games)).toBe(written);
+  });
+
+  it('round-trips through the JSON game tree', () => {
+    const { games } = parse(text);
+    expect(GameJson.fromJson(GameJson.toJson(games)).games).toEqual(games);
+  });
+});
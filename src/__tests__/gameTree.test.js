@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { parsePGN, writePGN, GameTree, ChessUtils } from '../chessLib.js';
+
+// Move node for a SAN move played after `path`
+const nodeAt = (game, path, san) => {
+  const { seq, index } = GameTree.locate(game.moves, path);
+  const fen = index >= 0 ? seq[index].fenAfter : game.initialFen;
+  const state = ChessUtils.fenToState(fen);
+  return GameTree.createMove(fen, ChessUtils.resolveMoveToken(state, san).candidates[0]);
+};
+
+describe('GameTree.addMove', () => {
+  const [game] = parsePGN('1. e4 e5 (1... c5 2. Nf3) 2. Nf3 *');
+
+  it('navigates to an existing continuation without copying', () => {
+    expect(GameTree.addMove(game.moves, [0], nodeAt(game, [0], 'e5'))).toEqual({ moves: game.moves, path: [1] });
+    const result = GameTree.addMove(game.moves, [0], nodeAt(game, [0], 'c5'));
+    expect(result.moves).toBe(game.moves);
+    expect(result.path).toEqual([1, 0, 0]);
+  });
+
+  it('extends a line at its end', () => {
+    const { moves, path } = GameTree.addMove(game.moves, [1, 0, 1], nodeAt(game, [1, 0, 1], 'd6'));
+    expect(path).toEqual([1, 0, 2]);
+    expect(writePGN({ ...game, moves })).toContain('1. e4 e5 (1... c5 2. Nf3 d6) 2. Nf3 *');
+    expect(game.moves[1].variations[0]).toHaveLength(2);
+  });
+
+  it('opens a new variation for a deviation', () => {
+    const { moves, path } = GameTree.addMove(game.moves, [], nodeAt(game, [], 'd4'));
+    expect(path).toEqual([0, 0, 0]);
+    expect(moves[0].variations[0][0]).toMatchObject({ san: 'd4', number: 1, isWhite: true });
+    expect(moves[1]).toBe(game.moves[1]);
+    expect(writePGN({ ...game, moves })).toContain('1. e4 (1. d4) 1... e5');
+  });
+});
+
+describe('GameTree reshaping', () => {
+  const [game] = parsePGN('1. e4 e5 (1... c5 2. Nf3 (2. c3 d5) d6) (1... e6) 2. Nf3 Nc6 *');
+  const pgnOf = (moves) => writePGN({ ...game, moves }, { comments: false }).split('\n\n')[1].trim();
+
+  it('promotes a variation over its parent line', () => {
+    const { moves, path } = GameTree.promoteVariation(game.moves, [1, 0, 2]);
+    expect(path).toEqual([3]);
+    expect(pgnOf(moves)).toBe('1. e4 c5 (1... e5 2. Nf3 Nc6) (1... e6) 2. Nf3 (2. c3 d5) 2... d6 *');
+  });
+
+  it('demotes a line below its first alternative', () => {
+    const { moves, path } = GameTree.demoteLine(game.moves, [3]);
+    expect(path).toEqual([1, 0, 2]);
+    expect(GameTree.promoteVariation(moves, path).moves).toEqual(game.moves);
+  });
+
+  it('makes a nested line the main line', () => {
+    const { moves, path } = GameTree.makeMainLine(game.moves, [1, 0, 1, 0, 1]);
+    expect(path).toEqual([3]);
+    expect(pgnOf(moves)).toBe('1. e4 c5 (1... e5 2. Nf3 Nc6) (1... e6) 2. c3 (2. Nf3 d6) 2... d5 *');
+  });
+
+  it('deletes variations and tails', () => {
+    const dropped = GameTree.deleteVariation(game.moves, [1, 1, 0]);
+    expect(dropped.path).toEqual([0]);
+    expect(pgnOf(dropped.moves)).toBe('1. e4 e5 (1... c5 2. Nf3 (2. c3 d5) 2... d6) 2. Nf3 Nc6 *');
+
+    const tail = GameTree.deleteFrom(game.moves, [2]);
+    expect(tail.path).toEqual([1]);
+    expect(pgnOf(tail.moves)).toBe('1. e4 e5 (1... c5 2. Nf3 (2. c3 d5) 2... d6) (1... e6) *');
+
+    // The first alternative takes the deleted move's place
+    const replaced = GameTree.deleteFrom(game.moves, [1]);
+    expect(replaced.path).toEqual([0]);
+    expect(pgnOf(replaced.moves)).toBe('1. e4 c5 (1... e6) 2. Nf3 (2. c3 d5) 2... d6 *');
+
+    const emptied = GameTree.deleteFrom(game.moves, [1, 1, 0]);
+    expect(emptied).toEqual(dropped);
+  });
+
+  it('starts the game from a later position', () => {
+    const { game: truncated, path } = GameTree.truncateBefore(game, [1, 0, 1]);
+    expect(path).toEqual([]);
+    expect(truncated.headers).toMatchObject({ SetUp: '1', FEN: game.moves[1].variations[0][1].fenAfter });
+    const [reparsed] = parsePGN(writePGN(truncated));
+    expect(reparsed.moves).toEqual(truncated.moves);
+    expect(reparsed.moves[0]).toMatchObject({ san: 'd6', number: 2.5 });
+  });
+
+  it('finds a move again after the tree around it changes', () => {
+    // 2... d5 in the nested 2. c3 line
+    const d5 = [1, 0, 1, 0, 1];
+    expect(GameTree.lineOf(game.moves, d5)).toEqual(['e4', 'c5', 'c3', 'd5']);
+    expect(GameTree.lineOf(game.moves, [9])).toBeNull();
+
+    const main = GameTree.makeMainLine(game.moves, d5);
+    expect(GameTree.remapPath(game.moves, main.moves, d5)).toEqual(main.path);
+    expect(GameTree.remapPath(game.moves, main.moves, [2])).toEqual([1, 0, 1]);
+
+    const dropped = GameTree.deleteVariation(game.moves, [1, 1, 0]);
+    expect(GameTree.remapPath(game.moves, dropped.moves, [1, 1, 0])).toBeNull();
+    expect(GameTree.remapPath(game.moves, dropped.moves, d5)).toEqual(d5);
+
+    const { game: truncated } = GameTree.truncateBefore(game, [1, 0, 1]);
+    const cut = GameTree.lineOf(game.moves, [1, 0, 1]);
+    expect(GameTree.remapPath(game.moves, truncated.moves, [1, 0, 2], cut)).toEqual([0]);
+    // Moves up to the new start, and the alternatives to them, are gone
+    expect(GameTree.remapPath(game.moves, truncated.moves, d5, cut)).toBeNull();
+    expect(GameTree.remapPath(game.moves, truncated.moves, [1, 0, 1], cut)).toBeNull();
+    expect(GameTree.remapPath(game.moves, truncated.moves, [3], cut)).toBeNull();
+  });
+});
+
+describe('GameTree.updateMove', () => {
+  it('edits one move and leaves other lines shared', () => {
+    const [game] = parsePGN('1. e4 e5 (1... c5 2. Nf3) 2. Nf3 *');
+    const moves = GameTree.updateMove(game.moves, [1, 0, 1], move => ({ ...move, comment: 'Open Sicilian next', nags: [1] }));
+    expect(game.moves[1].variations[0][1].comment).toBe('');
+    expect(moves[0]).toBe(game.moves[0]);
+    expect(moves[2]).toBe(game.moves[2]);
+    expect(writePGN({ ...game, moves })).toContain('(1... c5 2. Nf3 $1 {Open Sicilian next})');
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { parsePGN, writePGN, playMove, INITIAL_FEN, PgnWriter } from '../chessLib.js';
+
+const parse = (text) => {
+  const diagnostics = [];
+  return { games: parsePGN(text, { diagnostics }), diagnostics };
+};
+
+describe('parsePGN', () => {
+  it('reads headers with escapes and several games', () => {
+    const { games, diagnostics } = parse(
+      '[Event "The \\"Big\\" Match"]\n[Result "1-0"]\n\n1. e4 1-0\n\n[Event "Second"]\n\n1. d4 d5 *\n'
+    );
+    expect(diagnostics).toEqual([]);
+    expect(games).toHaveLength(2);
+    expect(games[0].headers.Event).toBe('The "Big" Match');
+    expect(games[0].result).toBe('1-0');
+    expect(games[1].moves.map(m => m.san)).toEqual(['d4', 'd5']);
+  });
+
+  it('attaches comments, NAGs and nested variations', () => {
+    const { games, diagnostics } = parse(
+      '{Opening} 1. e4 $1 {Best by test} e5 (1... c5 2. Nf3 (2. c3) d6) 2. Nf3!? *'
+    );
+    expect(diagnostics).toEqual([]);
+    const [e4, e5, nf3] = games[0].moves;
+    expect(e4).toMatchObject({ san: 'e4', commentBefore: 'Opening', comment: 'Best by test', nags: [1] });
+    expect(e5.variations).toHaveLength(1);
+    expect(e5.variations[0].map(m => m.san)).toEqual(['c5', 'Nf3', 'd6']);
+    expect(e5.variations[0][1].variations[0][0].san).toBe('c3');
+    expect(nf3.nags).toEqual([5]);
+    const afterD6 = ['e4', 'c5', 'Nf3', 'd6'].reduce(playMove, INITIAL_FEN);
+    expect(e5.variations[0][2].fenAfter).toBe(afterD6);
+  });
+
+  it('normalizes move notation to SAN', () => {
+    const { games, diagnostics } = parse('1. e2-e4 Nb8c6 2. ♘f3 0-0-0?! *');
+    expect(games[0].moves.slice(0, 3).map(m => m.san)).toEqual(['e4', 'Nc6', 'Nf3']);
+    expect(diagnostics.map(d => d.reason)).toEqual(['Illegal move']);
+  });
+
+  it('reads null moves, including the UCI 0000', () => {
+    for (const nullMove of ['--', 'Z0', '0000']) {
+      const { games, diagnostics } = parse(`1. e4 ${nullMove} 2. Nf3 *`);
+      expect(diagnostics).toEqual([]);
+      expect(games[0].moves.map(m => m.san)).toEqual(['e4', '--', 'Nf3']);
+      expect(games[0].moves[1].isNull).toBe(true);
+    }
+  });
+
+  it('reads periods standing on their own as part of the move number', () => {
+    for (const text of ['1. e4 e5 2. Nf3 {a comment} 2. ... Nc6 *', '1. e4 1 ... e5 2. Nf3 Nc6 *']) {
+      const { games, diagnostics } = parse(text);
+      expect(diagnostics).toEqual([]);
+      expect(games[0].moves.map(m => m.san)).toEqual(['e4', 'e5', 'Nf3', 'Nc6']);
+    }
+  });
+
+  it('reports illegal moves with their location and stops the line', () => {
+    const { games, diagnostics } = parse('1. e4 e5\n2. Ke3 Nc6 *');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({ gameIndex: 0, line: 2, token: 'Ke3', reason: 'Illegal move', path: [2] });
+    expect(games[0].moves).toHaveLength(3);
+    expect(games[0].moves[2].illegal).toBe(true);
+  });
+
+  it('reports ambiguous moves, result mismatches and stray parentheses', () => {
+    const { diagnostics } = parse('[Result "1-0"]\n\n1. d3 e5 2. Nf3 e4 3. Nd2 ) 0-1');
+    expect(diagnostics.map(d => d.reason)).toEqual([
+      'Ambiguous move',
+      'Unbalanced parenthesis',
+      'Result mismatch (header says 1-0)',
+    ]);
+  });
+
+  it('stops the line at an ambiguous move instead of guessing', () => {
+    const { games } = parse('1. d3 e5 2. Nf3 e4 3. Nd2 exd3 *');
+    expect(games[0].moves.map(m => m.san)).toEqual(['d3', 'e5', 'Nf3', 'e4', 'Nd2']);
+    expect(games[0].moves[4]).toMatchObject({ illegal: true, fenAfter: games[0].moves[3].fenAfter });
+  });
+
+  it('reports NAGs out of range', () => {
+    const { games, diagnostics } = parse('1. e4 $300 $1000 $14 *');
+    expect(diagnostics.map(d => [d.token, d.reason])).toEqual([
+      ['$300', 'NAG out of range (0-255)'],
+      ['$1000', 'NAG out of range (0-255)'],
+    ]);
+    expect(games[0].moves[0].nags).toEqual([14]);
+  });
+
+  it('starts from the FEN tag of set-up positions', () => {
+    const fen = '4k3/8/8/8/8/8/4P3/4K3 w - - 0 40';
+    const { games } = parse(`[SetUp "1"]\n[FEN "${fen}"]\n\n40. e4 Kd7 *`);
+    expect(games[0].initialFen).toBe(fen);
+    expect(games[0].moves[1]).toMatchObject({ number: 40.5, isWhite: false });
+  });
+
+  it('reports a bad FEN tag instead of replaying the moves', () => {
+    const fens = {
+      hello: 'a FEN has 4 to 6 fields',
+      '9/8/8/8/8/8/8/8 w - - 0 1': 'the board needs 8 ranks of 8 squares',
+      '8/8/8/8/8/8/8/8 w - - 0 1': 'each side needs exactly one king',
+    };
+    for (const [fen, problem] of Object.entries(fens)) {
+      const { games, diagnostics } = parse(`[Event "Study"]\n[SetUp "1"]\n[FEN "${fen}"]\n\n1. e4 *`);
+      expect(diagnostics).toEqual([
+        { gameIndex: 0, line: 3, column: 1, token: fen, reason: `Bad header (${problem})`, path: null },
+      ]);
+      expect(games[0]).toMatchObject({ initialFen: INITIAL_FEN, moves: [] });
+    }
+  });
+});
+
+describe('writePGN', () => {
+  const source = '[Event "Test"]\n[White "A"]\n[Black "B"]\n[Result "*"]\n\n' +
+    '1. e4 {[%clk 0:05:00] Center} e5 (1... c5 {Sicilian}) 2. Nf3 $1 *';
+
+  it('writes the Seven Tag Roster first and black continuation numbers', () => {
+    const pgn = writePGN(parse(source).games[0]);
+    expect(pgn.split('\n').slice(0, 7)).toEqual([
+      '[Event "Test"]', '[Site "?"]', '[Date "????.??.??"]', '[Round "?"]',
+      '[White "A"]', '[Black "B"]', '[Result "*"]',
+    ]);
+    expect(pgn).toContain('1. e4 {[%clk 0:05:00] Center} 1... e5 (1... c5 {Sicilian}) 2. Nf3 $1 *');
+  });
+
+  it('can leave out comments, clocks and variations', () => {
+    const game = parse(source).games[0];
+    expect(writePGN(game, { clocks: false })).toContain('1. e4 {Center} 1... e5');
+    expect(writePGN(game, { comments: false, clocks: false, variations: false })).toContain('\n\n1. e4 e5 2. Nf3 $1 *\n');
+  });
+
+  it('adds SetUp and FEN for set-up positions and wraps long lines', () => {
+    const game = { headers: {}, initialFen: '4k3/8/8/8/8/8/4P3/4K3 b - - 0 1', moves: [], result: '*' };
+    expect(writePGN(game)).toContain('[SetUp "1"]\n[FEN "4k3/8/8/8/8/8/4P3/4K3 b - - 0 1"]');
+
+    const long = parse(`${'1. Nf3 Nf6 2. Ng1 Ng8 '.repeat(10)}*`).games[0];
+    expect(writePGN(long).split('\n').every(line => line.length <= 79)).toBe(true);
+  });
+});
+
+describe('PgnWriter.spliceGames', () => {
+  const text = '[Event "One"]\n\n1. e4 e5 2. Ke3 {kept} Nc6 *\n\n\n[Event "Two"]\n\n1. d4 d5 *\n';
+
+  it('records where each game sits in the text', () => {
+    const ranges = [];
+    parsePGN(text, { ranges });
+    expect(ranges.map(({ start, end }) => text.slice(start, end))).toEqual([
+      '[Event "One"]\n\n1. e4 e5 2. Ke3 {kept} Nc6 *',
+      '[Event "Two"]\n\n1. d4 d5 *',
+    ]);
+  });
+
+  it('rewrites only the edited game and keeps the rest of the text as written', () => {
+    const ranges = [];
+    const games = parsePGN(text, { ranges });
+    const edited = [games[0], { ...games[1], headers: { ...games[1].headers, Event: 'Edited' } }];
+    const pgn = PgnWriter.spliceGames(text, ranges, edited, [1]);
+    expect(pgn.startsWith('[Event "One"]\n\n1. e4 e5 2. Ke3 {kept} Nc6 *\n\n\n[Event "Edited"]')).toBe(true);
+    expect(pgn.endsWith('1. d4 d5 *\n')).toBe(true);
+    expect(parsePGN(pgn).map(g => g.headers.Event)).toEqual(['One', 'Edited']);
+  });
+
+  it('appends games that are new to the text', () => {
+    const ranges = [];
+    const games = parsePGN(text, { ranges });
+    const added = { headers: { Event: 'Three' }, moves: [], initialFen: INITIAL_FEN, result: '*' };
+    const pgn = PgnWriter.spliceGames(text, ranges, [...games, added], [2]);
+    expect(pgn.startsWith(text)).toBe(true);
+    expect(parsePGN(pgn).map(g => g.headers.Event)).toEqual(['One', 'Two', 'Three']);
+  });
+});
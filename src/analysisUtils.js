@@ -0,0 +1,198 @@
+/**
+ * Position evaluation helpers: online engine endpoints and their response
+ * parsers, plus a material-count fallback that runs without a network.
+ */
+import { ChessUtils } from './chessUtils.js';
+
+export const AnalysisUtils = {
+  // Multiple analysis endpoints for better accuracy
+  getAnalysisEndpoints(fen, depth = 18) {
+    return [
+      // Primary: Lichess Cloud Eval (most reliable)
+      `https://lichess.org/api/cloud-eval?fen=${encodeURIComponent(fen)}&multiPv=1`,
+      
+      // Secondary: Stockfish Online with higher depth
+      `https://stockfish.online/api/s/v2.php?fen=${encodeURIComponent(fen)}&depth=15`,
+      
+      // Fallback: Local simple evaluation
+      null // Will use local evaluation as fallback
+    ];
+  },
+
+  // Enhanced local evaluation with basic chess knowledge
+  performLocalEval(fen) {
+    try {
+      const board = ChessUtils.fenToBoard(fen);
+      let score = 0;
+      
+      // Piece values
+      const pieceValues = {
+        'P': 1, 'N': 3, 'B': 3, 'R': 5, 'Q': 9, 'K': 0,
+        'p': -1, 'n': -3, 'b': -3, 'r': -5, 'q': -9, 'k': 0
+      };
+      
+      // Count material
+      for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+          const piece = board[row][col];
+          if (piece) {
+            score += pieceValues[piece] || 0;
+          }
+        }
+      }
+      
+      // Basic positional knowledge (center control)
+      const centerSquares = [[3,3],[3,4],[4,3],[4,4]];
+      centerSquares.forEach(([r, c]) => {
+        const piece = board[r][c];
+        if (piece) {
+          if (piece === piece.toUpperCase()) score += 0.1; // White center control
+          else score -= 0.1; // Black center control
+        }
+      });
+      
+      // Development bonus (knights and bishops in starting position)
+      for (let col = 0; col < 8; col++) {
+        if (board[0][col] === 'N' || board[0][col] === 'B') score -= 0.1;
+        if (board[7][col] === 'n' || board[7][col] === 'b') score += 0.1;
+      }
+      
+      // Convert to pawn units and format
+      const formattedScore = (score / 100).toFixed(2);
+      const evalText = score > 0 ? `+${formattedScore}` : formattedScore;
+      
+      // Generate reasonable moves based on position
+      const possibleMoves = this.generateReasonableMoves(fen);
+      const bestMove = possibleMoves[0] || 'e2e4';
+      
+      return {
+        bestmove: bestMove,
+        evaluation: evalText,
+        analysis: `${bestMove} ${this.getContinuation(fen, bestMove)}`,
+        depth: 'local',
+        source: 'local'
+      };
+    } catch (e) {
+      console.error('Local eval error:', e);
+      return this.getFallbackAnalysis();
+    }
+  },
+
+  generateReasonableMoves(fen) {
+    // Common opening moves
+    if (fen === ChessUtils.initialFen) {
+      return ['e2e4', 'd2d4', 'g1f3', 'c2c4'];
+    }
+
+    const state = ChessUtils.fenToState(fen);
+    const moves = ChessUtils.generateLegalMoves(state).map(m =>
+      this.squareToAlgebraic(m.from[0], m.from[1], m.to[0], m.to[1]) + (m.promotion ? m.promotion.toLowerCase() : '')
+    );
+
+    // Sort moves to prioritize center and captures
+    return moves.sort((a, b) => this.movePriority(a, b));
+  },
+
+  squareToAlgebraic(fromRow, fromCol, toRow, toCol) {
+    const files = 'abcdefgh';
+    const fromFile = files[fromCol];
+    const fromRank = 8 - fromRow;
+    const toFile = files[toCol];
+    const toRank = 8 - toRow;
+    return `${fromFile}${fromRank}${toFile}${toRank}`;
+  },
+
+  isValidSquare(row, col) {
+    return row >= 0 && row < 8 && col >= 0 && col < 8;
+  },
+
+  isOpponent(piece, isWhite) {
+    if (!piece) return false;
+    return (piece === piece.toUpperCase()) !== isWhite;
+  },
+
+  movePriority(moveA, moveB) {
+    // Prioritize center moves (e4, d4, e5, d5)
+    const centerMoves = ['e2e4', 'd2d4', 'e7e5', 'd7d5'];
+    if (centerMoves.includes(moveA)) return -1;
+    if (centerMoves.includes(moveB)) return 1;
+    
+    // Then prioritize captures
+    const isCaptureA = moveA.length === 4 && Math.abs(moveA.charCodeAt(0) - moveA.charCodeAt(2)) === 1;
+    const isCaptureB = moveB.length === 4 && Math.abs(moveB.charCodeAt(0) - moveB.charCodeAt(2)) === 1;
+    if (isCaptureA && !isCaptureB) return -1;
+    if (!isCaptureA && isCaptureB) return 1;
+    
+    return 0;
+  },
+
+  getContinuation(fen, firstMove) {
+    // Simple continuation based on common responses
+    const continuations = {
+      'e2e4': 'e7e5 g1f3 b8c6',
+      'd2d4': 'd7d5 c2c4',
+      'g1f3': 'd7d5 d2d4',
+      'e7e5': 'g1f3 b8c6 f1b5',
+      'd7d5': 'c2c4 e7e6'
+    };
+    return continuations[firstMove] || 'Nf6 Nc3 d5';
+  },
+
+  getFallbackAnalysis() {
+    return {
+      bestmove: 'e2e4',
+      evaluation: '0.00',
+      analysis: 'e2e4 e7e5 g1f3',
+      depth: 'fallback',
+      source: 'fallback'
+    };
+  },
+
+  // Parse Lichess cloud evaluation response
+  parseLichessResponse(data) {
+    if (!data || !data.pvs || !data.pvs[0]) {
+      throw new Error('Invalid Lichess response');
+    }
+    
+    const pv = data.pvs[0];
+    let evaluation;
+    
+    if (pv.mate) {
+      evaluation = `#${pv.mate}`;
+    } else {
+      // Convert centipawns to pawn units
+      const score = pv.cp / 100;
+      evaluation = score > 0 ? `+${score.toFixed(2)}` : score.toFixed(2);
+    }
+    
+    return {
+      bestmove: pv.moves.split(' ')[0],
+      evaluation: evaluation,
+      analysis: pv.moves,
+      depth: data.depth || 'cloud',
+      source: 'lichess'
+    };
+  },
+
+  // Parse Stockfish Online response
+  parseStockfishResponse(data) {
+    if (!data || typeof data.evaluation === 'undefined') {
+      throw new Error('Invalid Stockfish response');
+    }
+    
+    let evaluation;
+    if (typeof data.evaluation === 'number') {
+      evaluation = data.evaluation > 0 ? `+${data.evaluation.toFixed(2)}` : data.evaluation.toFixed(2);
+    } else {
+      evaluation = '0.00';
+    }
+    
+    return {
+      bestmove: data.bestmove || 'e2e4',
+      evaluation: evaluation,
+      analysis: data.pv || 'No line available',
+      depth: 'online',
+      source: 'stockfish'
+    };
+  }
+};
@@ -0,0 +1,159 @@
+/**
+ * Standalone board diagrams: an SVG document drawn in square units with the
+ * piece artwork inlined as data URIs, and a PNG rasterized from that SVG.
+ */
+import { ChessUtils } from './chessUtils.js';
+
+export const BoardDiagram = {
+  LIGHT_SQUARE: '#fef3c7',
+  DARK_SQUARE: '#475569',
+  LABEL_COLOR: '#334155',
+  BACKGROUND: '#ffffff',
+
+  // Width of the coordinate and side-to-move gutters, in squares
+  GUTTER: 0.4,
+
+  // Inlined piece artwork keyed by the source URL, filled by loadPieces
+  pieceCache: {},
+
+  // Rotate a display-order board by 180 degrees (its own inverse)
+  rotate(board) {
+    return board.map((row, r) => row.map((_, c) => board[7 - r][7 - c]));
+  },
+
+  // Fetch each piece image once and return a piece -> data URI map
+  async loadPieces(pieceUrls) {
+    const entries = await Promise.all(Object.entries(pieceUrls).map(async ([piece, url]) => {
+      if (!this.pieceCache[url]) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`Could not load ${url}`);
+        const text = await res.text();
+        this.pieceCache[url] = `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(text)))}`;
+      }
+      return [piece, this.pieceCache[url]];
+    }));
+    return Object.fromEntries(entries);
+  },
+
+  /**
+   * SVG markup for a board given in display order (row 0 at the top), as
+   * `displayedBoard` holds it. Options: size (board width in px), flipped,
+   * coordinates, sideToMove ('w' | 'b' | null), arrows, highlights, pieces.
+   */
+  renderSvg(board, options = {}) {
+    const {
+      size = 400,
+      flipped = false,
+      coordinates = true,
+      sideToMove = null,
+      arrows = [],
+      highlights = [],
+      pieces = {},
+    } = options;
+
+    const left = coordinates ? this.GUTTER : 0;
+    const bottom = coordinates ? this.GUTTER : 0;
+    const right = sideToMove ? this.GUTTER : 0;
+    const width = left + 8 + right;
+    const height = 8 + bottom;
+    const px = size / 8;
+    const fmt = (n) => +n.toFixed(3);
+
+    // Top-left corner of a square name in diagram units
+    const corner = (square) => {
+      const [row, col] = ChessUtils.parseSquare(square);
+      return flipped ? [left + 7 - col, 7 - row] : [left + col, row];
+    };
+    const colorOf = (c) => ChessUtils.ANNOTATION_COLORS[c] || ChessUtils.ANNOTATION_COLORS.G;
+
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${fmt(width * px)}" height="${fmt(height * px)}" viewBox="0 0 ${fmt(width)} ${fmt(height)}">`,
+      '<defs>',
+      ...Object.entries(ChessUtils.ANNOTATION_COLORS).map(([key, color]) =>
+        `<marker id="arrowhead-${key}" markerWidth="4" markerHeight="4" refX="2.05" refY="2" orient="auto">` +
+        `<path d="M0,0 L4,2 L0,4 z" fill="${color}"/></marker>`),
+      '</defs>',
+      `<rect width="${fmt(width)}" height="${fmt(height)}" fill="${this.BACKGROUND}"/>`,
+    ];
+
+    board.forEach((row, r) => row.forEach((piece, c) => {
+      const fill = (r + c) % 2 === 0 ? this.LIGHT_SQUARE : this.DARK_SQUARE;
+      out.push(`<rect x="${fmt(left + c)}" y="${r}" width="1" height="1" fill="${fill}"/>`);
+    }));
+
+    highlights.forEach(h => {
+      const [x, y] = corner(h.square);
+      out.push(`<circle cx="${fmt(x + 0.5)}" cy="${fmt(y + 0.5)}" r="0.46" fill="none" ` +
+        `stroke="${colorOf(h.color)}" stroke-width="0.07" opacity="0.8"/>`);
+    });
+
+    board.forEach((row, r) => row.forEach((piece, c) => {
+      if (!piece || !pieces[piece]) return;
+      out.push(`<image x="${fmt(left + c + 0.05)}" y="${fmt(r + 0.05)}" width="0.9" height="0.9" xlink:href="${pieces[piece]}"/>`);
+    }));
+
+    arrows.forEach(a => {
+      const [x1, y1] = corner(a.from).map(v => v + 0.5);
+      const [x2, y2] = corner(a.to).map(v => v + 0.5);
+      const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+      // Stop short so the arrowhead tip lands on the square center
+      const ex = x2 - ((x2 - x1) / len) * 0.3;
+      const ey = y2 - ((y2 - y1) / len) * 0.3;
+      const marker = ChessUtils.ANNOTATION_COLORS[a.color] ? a.color : 'G';
+      out.push(`<line x1="${fmt(x1)}" y1="${fmt(y1)}" x2="${fmt(ex)}" y2="${fmt(ey)}" stroke="${colorOf(a.color)}" ` +
+        `stroke-width="0.15" stroke-linecap="round" opacity="0.8" marker-end="url(#arrowhead-${marker})"/>`);
+    });
+
+    out.push(`<rect x="${fmt(left)}" y="0" width="8" height="8" fill="none" stroke="${this.LABEL_COLOR}" stroke-width="0.03"/>`);
+
+    if (coordinates) {
+      const font = `font-family="sans-serif" font-size="0.26" font-weight="bold" fill="${this.LABEL_COLOR}" text-anchor="middle"`;
+      for (let i = 0; i < 8; i++) {
+        const file = String.fromCharCode(97 + (flipped ? 7 - i : i));
+        const rank = flipped ? i + 1 : 8 - i;
+        out.push(`<text x="${fmt(left + i + 0.5)}" y="${fmt(8 + bottom * 0.75)}" ${font}>${file}</text>`);
+        out.push(`<text x="${fmt(left / 2)}" y="${fmt(i + 0.6)}" ${font}>${rank}</text>`);
+      }
+    }
+
+    if (sideToMove) {
+      // Marker sits beside the edge of the side to move
+      const atBottom = (sideToMove === 'w') !== flipped;
+      out.push(`<circle cx="${fmt(left + 8 + right / 2)}" cy="${atBottom ? 7.5 : 0.5}" r="${fmt(right * 0.35)}" ` +
+        `fill="${sideToMove === 'w' ? '#ffffff' : '#000000'}" stroke="${this.LABEL_COLOR}" stroke-width="0.03"/>`);
+    }
+
+    out.push('</svg>');
+    return out.join('\n');
+  },
+
+  // Load SVG markup as an image element, ready to draw onto a canvas
+  loadImage(svg) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not render diagram'));
+      };
+      img.src = url;
+    });
+  },
+
+  // Rasterize SVG markup to a PNG blob at its own pixel size
+  async toPng(svg) {
+    const img = await this.loadImage(svg);
+    const canvas = document.createElement('canvas');
+    canvas.width = img.width;
+    canvas.height = img.height;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+  },
+};
@@ -0,0 +1,64 @@
+/**
+ * Headless entry point for the viewer's chess and PGN logic: no React and
+ * no DOM, so it runs unchanged in Node scripts, workers and tests.
+ *
+ *   import { parsePGN, writePGN, playMove } from './src/chessLib.js';
+ *
+ *   const diagnostics = [];
+ *   const games = parsePGN(text, { diagnostics });
+ *   const fen = playMove(games[0].initialFen, 'Nf3');
+ *   const pgn = writePGN(games, { clocks: false });
+ *
+ * The full objects are exported as well; see README.md for the data shapes.
+ */
+import { ChessUtils } from './chessUtils.js';
+import { PgnWriter } from './pgnWriter.js';
+
+export { ChessUtils } from './chessUtils.js';
+export { PgnWriter } from './pgnWriter.js';
+export { GameJson } from './gameJson.js';
+export { GameTree } from './gameTree.js';
+export { AnalysisUtils } from './analysisUtils.js';
+
+export const INITIAL_FEN = ChessUtils.initialFen;
+
+/**
+ * Parse PGN text into games ({ headers, moves, initialFen, result }).
+ * Problems are appended to `options.diagnostics` as
+ * { gameIndex, line, column, token, reason, path } instead of throwing.
+ */
+export const parsePGN = (text, options = {}) => ChessUtils.parsePGN(text, options);
+
+/**
+ * Export-format PGN for one game or a list of games. Options:
+ * comments, variations, clocks (all default true).
+ */
+export const writePGN = (games, options = {}) =>
+  Array.isArray(games) ? PgnWriter.writeGames(games, options) : PgnWriter.writeGame(games, options);
+
+// SAN of every legal move in a position
+export const legalMoves = (fen) => {
+  const state = ChessUtils.fenToState(fen);
+  const legal = ChessUtils.generateLegalMoves(state);
+  return legal.map(move => ChessUtils.moveToSan(state, move, legal));
+};
+
+/**
+ * FEN after playing a move given in SAN, LAN/UCI, figurine or localized
+ * notation, or as a null move. Throws on illegal or ambiguous input.
+ */
+export const playMove = (fen, move) => {
+  const state = ChessUtils.fenToState(fen);
+  const resolved = ChessUtils.resolveMoveToken(state, move);
+  if (resolved.nullMove) return ChessUtils.stateToFen(ChessUtils.applyNullMove(state));
+  if (resolved.candidates.length !== 1) {
+    throw new Error(`${resolved.candidates.length ? 'Ambiguous' : 'Illegal'} move "${move}" in ${fen}`);
+  }
+  return ChessUtils.stateToFen(ChessUtils.applyMove(state, resolved.candidates[0]));
+};
+
+// { check, checkmate, stalemate } for a FEN
+export const positionStatus = (fen) => ChessUtils.getPositionStatus(fen);
+
+// Leaf node count of the legal move tree, for move generator checks
+export const perft = (fen, depth) => ChessUtils.perft(fen, depth);
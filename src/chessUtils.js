@@ -0,0 +1,1046 @@
+/**
+ * Chess utilities shared by the viewer and the PGN parsing worker.
+ * Kept free of React so it can run off the main thread.
+ */
+
+// Enhanced chess utilities with better move execution
+export const ChessUtils = {
+  initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+
+  positionToBoard(position) {
+    const rows = position.split('/');
+    const board = Array(8).fill().map(() => Array(8).fill(null));
+    rows.forEach((row, r) => {
+      let c = 0;
+      for (const ch of row) {
+        if (/\d/.test(ch)) c += parseInt(ch);
+        else board[r][c++] = ch;
+      }
+    });
+    return board;
+  },
+
+  fenToBoard(fen) {
+    if (!fen) fen = this.initialFen;
+    const [position] = fen.split(' ');
+    return this.positionToBoard(position);
+  },
+  
+
+  boardToPosition(board) {
+    const rows = board.map(row => {
+      let empty = 0, fen = '';
+      row.forEach(cell => {
+        if (!cell) empty++;
+        else {
+          if (empty) fen += empty;
+          fen += cell;
+          empty = 0;
+        }
+      });
+      if (empty) fen += empty;
+      return fen;
+    });
+    return rows.join('/');
+  },
+  boardToFen(board, active = 'w', castling = '-', enpass = '-', half = 0, full = 1) {
+  const position = this.boardToPosition(board);
+  return `${position} ${active} ${castling} ${enpass} ${half} ${full}`;
+},
+
+  fenToState(fen) {
+    const [position, active, castling, enpass, half, full] = fen.split(' ');
+    return {
+      board: this.positionToBoard(position),
+      active,
+      castling: castling === '-' ? '' : castling,
+      enpass: enpass === '-' ? '' : enpass,
+      halfmove: parseInt(half || 0),
+      fullmove: parseInt(full || 1),
+    };
+  },
+
+  // Why a FEN string cannot describe a position, or null when it can
+  fenError(fen) {
+    const fields = String(fen).trim().split(/\s+/);
+    if (fields.length < 4 || fields.length > 6) return 'a FEN has 4 to 6 fields';
+    const [position, active, castling, enpass, half = '0', full = '1'] = fields;
+    const ranks = position.split('/');
+    const width = (rank) => [...rank].reduce((n, ch) => n + (/\d/.test(ch) ? +ch : 1), 0);
+    if (ranks.length !== 8 || ranks.some(rank => !/^[KQRBNPkqrbnp1-8]+$/.test(rank) || width(rank) !== 8)) {
+      return 'the board needs 8 ranks of 8 squares';
+    }
+    if ((position.match(/K/g) || []).length !== 1 || (position.match(/k/g) || []).length !== 1) {
+      return 'each side needs exactly one king';
+    }
+    if (!/^[wb]$/.test(active)) return 'the side to move is w or b';
+    if (!/^(-|[KQA-Hkqa-h]+)$/.test(castling)) return `bad castling rights "${castling}"`;
+    if (!/^(-|[a-h][36])$/.test(enpass)) return `bad en passant square "${enpass}"`;
+    if (!/^\d+$/.test(half) || !/^[1-9]\d*$/.test(full)) return 'bad move counters';
+    return null;
+  },
+
+  stateToFen(state) {
+    return [
+      this.boardToPosition(state.board),
+      state.active,
+      state.castling || '-',
+      state.enpass || '-',
+      state.halfmove,
+      state.fullmove,
+    ].join(' ');
+  },
+
+  isOpponent(piece, isWhite) {
+    if (!piece) return false;
+    const pieceWhite = piece === piece.toUpperCase();
+    return pieceWhite !== isWhite;
+  },
+  isWhitePiece(piece) {
+    return piece === piece.toUpperCase();
+  },
+
+  squareName(row, col) {
+    return String.fromCharCode(97 + col) + (8 - row);
+  },
+
+  parseSquare(square) {
+    return [8 - parseInt(square[1], 10), square.charCodeAt(0) - 97];
+  },
+
+  onBoard(row, col) {
+    return row >= 0 && row < 8 && col >= 0 && col < 8;
+  },
+
+  KNIGHT_OFFSETS: [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]],
+  KING_OFFSETS: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]],
+  ROOK_DIRS: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+  BISHOP_DIRS: [[-1, -1], [-1, 1], [1, -1], [1, 1]],
+
+  // Is (row, col) attacked by any piece of the given color?
+  isSquareAttacked(board, row, col, byWhite) {
+    const own = (p) => byWhite ? p.toUpperCase() : p.toLowerCase();
+
+    const pawnRow = row + (byWhite ? 1 : -1);
+    for (const dc of [-1, 1]) {
+      if (this.onBoard(pawnRow, col + dc) && board[pawnRow][col + dc] === own('p')) return true;
+    }
+    for (const [dr, dc] of this.KNIGHT_OFFSETS) {
+      const r = row + dr, c = col + dc;
+      if (this.onBoard(r, c) && board[r][c] === own('n')) return true;
+    }
+    for (const [dr, dc] of this.KING_OFFSETS) {
+      const r = row + dr, c = col + dc;
+      if (this.onBoard(r, c) && board[r][c] === own('k')) return true;
+    }
+
+    const slides = [[this.ROOK_DIRS, own('r')], [this.BISHOP_DIRS, own('b')]];
+    for (const [dirs, slider] of slides) {
+      for (const [dr, dc] of dirs) {
+        let r = row + dr, c = col + dc;
+        while (this.onBoard(r, c)) {
+          const p = board[r][c];
+          if (p) {
+            if (p === slider || p === own('q')) return true;
+            break;
+          }
+          r += dr; c += dc;
+        }
+      }
+    }
+    return false;
+  },
+
+  findKing(board, isWhite) {
+    const king = isWhite ? 'K' : 'k';
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        if (board[r][c] === king) return [r, c];
+      }
+    }
+    return null;
+  },
+
+  isInCheck(state, isWhite = state.active === 'w') {
+    const king = this.findKing(state.board, isWhite);
+    return !!king && this.isSquareAttacked(state.board, king[0], king[1], !isWhite);
+  },
+
+  // Moves that obey piece movement rules but may leave the own king in check.
+  // Castling is generated separately since it depends on attacked squares.
+  generatePseudoMoves(state) {
+    const { board } = state;
+    const isWhite = state.active === 'w';
+    const ep = state.enpass && state.enpass !== '-' ? this.parseSquare(state.enpass) : null;
+    const moves = [];
+
+    const add = (piece, from, to, extra = {}) => {
+      moves.push({ piece, from, to, captured: board[to[0]][to[1]], promotion: null, castle: null, enPassant: false, ...extra });
+    };
+
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        const piece = board[r][c];
+        if (!piece || this.isWhitePiece(piece) !== isWhite) continue;
+        const type = piece.toUpperCase();
+
+        if (type === 'P') {
+          const dir = isWhite ? -1 : 1;
+          const lastRow = isWhite ? 0 : 7;
+          const addPawn = (to, extra) => {
+            if (to[0] === lastRow) {
+              for (const promo of ['Q', 'R', 'B', 'N']) {
+                add(piece, [r, c], to, { ...extra, promotion: isWhite ? promo : promo.toLowerCase() });
+              }
+            } else {
+              add(piece, [r, c], to, extra);
+            }
+          };
+
+          if (this.onBoard(r + dir, c) && !board[r + dir][c]) {
+            addPawn([r + dir, c]);
+            if (r === (isWhite ? 6 : 1) && !board[r + 2 * dir][c]) add(piece, [r, c], [r + 2 * dir, c]);
+          }
+          for (const dc of [-1, 1]) {
+            const tr = r + dir, tc = c + dc;
+            if (!this.onBoard(tr, tc)) continue;
+            if (this.isOpponent(board[tr][tc], isWhite)) addPawn([tr, tc]);
+            else if (ep && ep[0] === tr && ep[1] === tc && !board[tr][tc]) {
+              add(piece, [r, c], [tr, tc], { captured: board[r][tc], enPassant: true });
+            }
+          }
+          continue;
+        }
+
+        if (type === 'N' || type === 'K') {
+          for (const [dr, dc] of type === 'N' ? this.KNIGHT_OFFSETS : this.KING_OFFSETS) {
+            const tr = r + dr, tc = c + dc;
+            if (!this.onBoard(tr, tc)) continue;
+            const target = board[tr][tc];
+            if (!target || this.isOpponent(target, isWhite)) add(piece, [r, c], [tr, tc]);
+          }
+          continue;
+        }
+
+        const dirs = type === 'R' ? this.ROOK_DIRS
+          : type === 'B' ? this.BISHOP_DIRS
+          : [...this.ROOK_DIRS, ...this.BISHOP_DIRS];
+        for (const [dr, dc] of dirs) {
+          let tr = r + dr, tc = c + dc;
+          while (this.onBoard(tr, tc)) {
+            const target = board[tr][tc];
+            if (target) {
+              if (this.isOpponent(target, isWhite)) add(piece, [r, c], [tr, tc]);
+              break;
+            }
+            add(piece, [r, c], [tr, tc]);
+            tr += dr; tc += dc;
+          }
+        }
+      }
+    }
+    return moves;
+  },
+
+  /**
+   * Resolve the FEN castling field against the board. Supports standard
+   * KQkq, X-FEN (KQkq meaning the outermost rook, or a file letter when that
+   * is ambiguous) and Shredder-FEN (rook files, e.g. HAha) for Chess960.
+   */
+  resolveCastlingRights(state) {
+    const { board } = state;
+    const rights = state.castling && state.castling !== '-' ? state.castling : '';
+    const resolved = [];
+
+    for (const right of rights) {
+      const white = right === right.toUpperCase();
+      const row = white ? 7 : 0;
+      const king = white ? 'K' : 'k';
+      const rook = white ? 'R' : 'r';
+      const kingCol = board[row].indexOf(king);
+      if (kingCol === -1) continue;
+
+      const upper = right.toUpperCase();
+      let rookCol = -1;
+      if (upper === 'K') {
+        for (let c = 7; c > kingCol && rookCol === -1; c--) if (board[row][c] === rook) rookCol = c;
+      } else if (upper === 'Q') {
+        for (let c = 0; c < kingCol && rookCol === -1; c++) if (board[row][c] === rook) rookCol = c;
+      } else if (upper >= 'A' && upper <= 'H') {
+        const c = upper.charCodeAt(0) - 65;
+        if (board[row][c] === rook) rookCol = c;
+      }
+      if (rookCol === -1) continue;
+
+      resolved.push({ right, white, row, kingCol, rookCol, side: rookCol > kingCol ? 'K' : 'Q' });
+    }
+    return resolved;
+  },
+
+  // Castling from any king/rook files: the king ends on g/c and the rook on f/d.
+  generateCastlingMoves(state) {
+    const { board } = state;
+    const isWhite = state.active === 'w';
+    const moves = [];
+
+    for (const { white, row, kingCol, rookCol, side } of this.resolveCastlingRights(state)) {
+      if (white !== isWhite || moves.some(m => m.castle === side)) continue;
+      const kingTo = side === 'K' ? 6 : 2;
+      const rookTo = side === 'K' ? 5 : 3;
+
+      const lo = Math.min(kingCol, rookCol, kingTo, rookTo);
+      const hi = Math.max(kingCol, rookCol, kingTo, rookTo);
+      let blocked = false;
+      for (let c = lo; c <= hi; c++) {
+        if (c !== kingCol && c !== rookCol && board[row][c]) blocked = true;
+      }
+      if (blocked) continue;
+
+      const step = kingTo >= kingCol ? 1 : -1;
+      let attacked = false;
+      for (let c = kingCol; ; c += step) {
+        if (this.isSquareAttacked(board, row, c, !isWhite)) { attacked = true; break; }
+        if (c === kingTo) break;
+      }
+      if (attacked) continue;
+
+      const move = {
+        piece: board[row][kingCol], from: [row, kingCol], to: [row, kingTo], captured: null, promotion: null,
+        castle: side, rookFrom: [row, rookCol], rookTo: [row, rookTo], enPassant: false
+      };
+      // The castling rook may have been shielding the king's destination
+      if (this.isInCheck(this.applyMove(state, move), isWhite)) continue;
+      moves.push(move);
+    }
+    return moves;
+  },
+
+  generateLegalMoves(state) {
+    const isWhite = state.active === 'w';
+    const legal = this.generatePseudoMoves(state).filter(move => {
+      const next = this.applyMove(state, move);
+      return !this.isInCheck(next, isWhite);
+    });
+    return legal.concat(this.generateCastlingMoves(state));
+  },
+
+  // Play a move object produced by the generator and return the new state.
+  applyMove(state, move) {
+    const board = state.board.map(r => [...r]);
+    const isWhite = this.isWhitePiece(move.piece);
+    const [fr, fc] = move.from;
+    const [tr, tc] = move.to;
+    let castling = state.castling && state.castling !== '-' ? state.castling : '';
+
+    if (move.castle) {
+      board[fr][fc] = null;
+      board[move.rookFrom[0]][move.rookFrom[1]] = null;
+      board[tr][tc] = move.piece;
+      board[move.rookTo[0]][move.rookTo[1]] = isWhite ? 'R' : 'r';
+    } else {
+      board[fr][fc] = null;
+      board[tr][tc] = move.promotion || move.piece;
+      if (move.enPassant) board[fr][tc] = null;
+    }
+
+    if (move.piece.toUpperCase() === 'K') {
+      castling = castling.replace(isWhite ? /[KQA-H]/g : /[kqa-h]/g, '');
+    }
+    // A right is lost once its rook leaves its square or is captured there
+    for (const { right, row, rookCol } of this.resolveCastlingRights(state)) {
+      if ((fr === row && fc === rookCol) || (tr === row && tc === rookCol)) castling = castling.replace(right, '');
+    }
+
+    const isPawn = move.piece.toUpperCase() === 'P';
+    return {
+      board,
+      active: isWhite ? 'b' : 'w',
+      castling,
+      enpass: isPawn && Math.abs(tr - fr) === 2 ? this.squareName((fr + tr) / 2, fc) : '',
+      halfmove: isPawn || move.captured ? 0 : state.halfmove + 1,
+      fullmove: isWhite ? state.fullmove : state.fullmove + 1,
+    };
+  },
+
+  moveToSan(state, move, legalMoves = this.generateLegalMoves(state)) {
+    let san;
+    if (move.castle) {
+      san = move.castle === 'K' ? 'O-O' : 'O-O-O';
+    } else {
+      const type = move.piece.toUpperCase();
+      const target = this.squareName(move.to[0], move.to[1]);
+      const capture = move.captured ? 'x' : '';
+      if (type === 'P') {
+        san = (capture ? this.squareName(move.from[0], move.from[1])[0] + 'x' : '') + target;
+        if (move.promotion) san += '=' + move.promotion.toUpperCase();
+      } else {
+        const rivals = legalMoves.filter(m =>
+          m.piece === move.piece && !m.castle &&
+          m.to[0] === move.to[0] && m.to[1] === move.to[1] &&
+          (m.from[0] !== move.from[0] || m.from[1] !== move.from[1]));
+        let disambig = '';
+        if (rivals.length) {
+          const from = this.squareName(move.from[0], move.from[1]);
+          if (!rivals.some(m => m.from[1] === move.from[1])) disambig = from[0];
+          else if (!rivals.some(m => m.from[0] === move.from[0])) disambig = from[1];
+          else disambig = from;
+        }
+        san = type + disambig + capture + target;
+      }
+    }
+
+    const next = this.applyMove(state, move);
+    if (this.isInCheck(next)) {
+      san += this.generateLegalMoves(next).length ? '+' : '#';
+    }
+    return san;
+  },
+
+  // Legal moves of the side to move that a SAN token could describe.
+  matchSan(state, san, legalMoves = this.generateLegalMoves(state)) {
+    const clean = san.replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+    if (clean === 'O-O' || clean === 'O-O-O') {
+      const side = clean === 'O-O' ? 'K' : 'Q';
+      return legalMoves.filter(m => m.castle === side);
+    }
+
+    const m = clean.match(/^([KQRNB])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRNB]))?$/);
+    if (!m) return [];
+    const [, pieceType = 'P', sourceFile, sourceRank, target, promotion] = m;
+    const [tr, tc] = this.parseSquare(target);
+
+    return legalMoves.filter(mv => {
+      if (mv.castle || mv.piece.toUpperCase() !== pieceType) return false;
+      if (mv.to[0] !== tr || mv.to[1] !== tc) return false;
+      if (sourceFile && sourceFile.charCodeAt(0) - 97 !== mv.from[1]) return false;
+      if (sourceRank && 8 - parseInt(sourceRank, 10) !== mv.from[0]) return false;
+      if (mv.promotion) return mv.promotion.toUpperCase() === (promotion || 'Q');
+      return !promotion;
+    });
+  },
+
+  // Tokens used for a null move ("pass") in analysis
+  NULL_MOVES: ['--', 'Z0', '0000'],
+
+  FIGURINES: {
+    '♔': 'K', '♕': 'Q', '♖': 'R', '♗': 'B', '♘': 'N', '♙': '',
+    '♚': 'K', '♛': 'Q', '♜': 'R', '♝': 'B', '♞': 'N', '♟': '',
+  },
+
+  // Piece letters of other languages mapped to English, tried in order
+  LOCALIZED_PIECES: [
+    { K: 'K', D: 'Q', T: 'R', L: 'B', S: 'N' }, // German
+    { R: 'K', D: 'Q', T: 'R', F: 'B', C: 'N' }, // French
+    { R: 'K', D: 'Q', T: 'R', A: 'B', C: 'N' }, // Spanish, Italian
+    { K: 'K', D: 'Q', T: 'R', L: 'B', P: 'N' }, // Dutch
+  ],
+
+  // Anything shaped like a move in one of the accepted notations
+  LOOSE_MOVE_RE: /^(?:[KQRBNDTLSFCAP]?[a-h]?[1-8]?[-x:]?[a-h][1-8](?:=?[QRBNDTLSFCAqrbn])?|[O0]-[O0](?:-[O0])?)[+#]?$/,
+
+  applyNullMove(state) {
+    const isWhite = state.active === 'w';
+    return {
+      board: state.board.map(r => [...r]),
+      active: isWhite ? 'b' : 'w',
+      castling: state.castling,
+      enpass: '',
+      halfmove: state.halfmove + 1,
+      fullmove: isWhite ? state.fullmove : state.fullmove + 1,
+    };
+  },
+
+  /**
+   * Resolve a move token in SAN, long algebraic (Ng1-f3), UCI (e2e4, e1h1),
+   * figurine (♘f3) or localized (Sf3) notation to legal moves. Returns
+   * { nullMove: true } for null moves, otherwise { candidates, san } where
+   * san is the standard SAN of a unique candidate.
+   */
+  resolveMoveToken(state, token) {
+    if (this.NULL_MOVES.includes(token)) return { nullMove: true, candidates: [], san: '--' };
+
+    const legal = this.generateLegalMoves(state);
+    const figurine = token.replace(/[♔♕♖♗♘♙♚♛♜♝♞♟]/g, ch => this.FIGURINES[ch]);
+
+    const english = this.matchSan(state, figurine, legal);
+    if (english.length) {
+      // An ambiguous token is kept as written so the problem stays visible
+      const san = english.length === 1 ? this.moveToSan(state, english[0], legal) : token;
+      return { candidates: english, san };
+    }
+
+    const lan = figurine.match(/^([KQRNB])?([a-h][1-8])[-x:]?([a-h][1-8])(?:=?([QRNBqrnb]))?[+#]?$/);
+    if (lan) {
+      const [from, to] = [this.parseSquare(lan[2]), this.parseSquare(lan[3])];
+      const promotion = (lan[4] || 'Q').toUpperCase();
+      const matches = legal.filter(m => {
+        if (m.from[0] !== from[0] || m.from[1] !== from[1]) return false;
+        if (lan[1] && m.piece.toUpperCase() !== lan[1]) return false;
+        if (m.promotion && m.promotion.toUpperCase() !== promotion) return false;
+        // A castling king may be given its own destination or the rook's square
+        const target = m.castle && m.rookFrom[1] === to[1] && m.rookFrom[0] === to[0] ? m.rookFrom : m.to;
+        return (m.to[0] === to[0] && m.to[1] === to[1]) || (target[0] === to[0] && target[1] === to[1]);
+      });
+      if (matches.length) return { candidates: matches, san: this.moveToSan(state, matches[0], legal) };
+    }
+
+    for (const letters of this.LOCALIZED_PIECES) {
+      const translated = figurine
+        .replace(/^[A-Z]/, ch => letters[ch] ?? '\0')
+        .replace(/=([A-Z])$/, (_, ch) => '=' + (letters[ch] ?? '\0'));
+      if (translated.includes('\0')) continue;
+      const matches = this.matchSan(state, translated, legal);
+      if (matches.length === 1) return { candidates: matches, san: this.moveToSan(state, matches[0], legal) };
+    }
+
+    return { candidates: [], san: null };
+  },
+
+  // Check, checkmate and stalemate for any FEN or state.
+  getPositionStatus(fenOrState) {
+    const state = typeof fenOrState === 'string' ? this.fenToState(fenOrState) : fenOrState;
+    const check = this.isInCheck(state);
+    const hasMoves = this.generateLegalMoves(state).length > 0;
+    return {
+      check,
+      checkmate: check && !hasMoves,
+      stalemate: !check && !hasMoves,
+    };
+  },
+
+  // Squares a pawn of the side not to move can just have skipped with a double step.
+  enPassantSquares(state) {
+    const white = state.active === 'w';
+    const [pawnRow, skippedRow, startRow] = white ? [3, 2, 1] : [4, 5, 6];
+    const pawn = white ? 'p' : 'P';
+    const { board } = state;
+    const squares = [];
+    for (let c = 0; c < 8; c++) {
+      if (board[pawnRow][c] === pawn && !board[skippedRow][c] && !board[startRow][c]) {
+        squares.push(this.squareName(skippedRow, c));
+      }
+    }
+    return squares;
+  },
+
+  /**
+   * Reasons a set-up position cannot start a game; empty when it can. Each
+   * side needs one king, pawns cannot stand on the first or last rank, the
+   * side not to move cannot be in check, and castling rights and the en
+   * passant square must agree with the pieces.
+   */
+  validatePosition(fenOrState) {
+    const state = typeof fenOrState === 'string' ? this.fenToState(fenOrState) : fenOrState;
+    const problems = [];
+    const pieces = state.board.flat();
+    const kings = { White: pieces.filter(p => p === 'K').length, Black: pieces.filter(p => p === 'k').length };
+
+    for (const [side, count] of Object.entries(kings)) {
+      if (count !== 1) problems.push(`${side} needs exactly one king (found ${count})`);
+    }
+    if ([0, 7].some(r => state.board[r].some(p => p === 'P' || p === 'p'))) {
+      problems.push('Pawns cannot stand on the first or last rank');
+    }
+    if (kings.White === 1 && kings.Black === 1 && this.isInCheck(state, state.active !== 'w')) {
+      problems.push(`${state.active === 'w' ? 'Black' : 'White'} is in check but it is ${state.active === 'w' ? 'White' : 'Black'}'s move`);
+    }
+    const rights = state.castling && state.castling !== '-' ? state.castling : '';
+    if (this.resolveCastlingRights(state).length !== rights.length) {
+      problems.push('Castling rights need the king and that rook on their first rank');
+    }
+    if (state.enpass && state.enpass !== '-' && !this.enPassantSquares(state).includes(state.enpass)) {
+      problems.push(`No pawn can have just skipped ${state.enpass}`);
+    }
+    return problems;
+  },
+
+  // Leaf node count of the legal move tree, used to verify move generation.
+  perft(fenOrState, depth) {
+    const state = typeof fenOrState === 'string' ? this.fenToState(fenOrState) : fenOrState;
+    if (depth === 0) return 1;
+    const moves = this.generateLegalMoves(state);
+    if (depth === 1) return moves.length;
+    return moves.reduce((sum, move) => sum + this.perft(this.applyMove(state, move), depth - 1), 0);
+  },
+
+  // Play a SAN move. Illegal and ambiguous moves throw rather than being guessed.
+  executeMove(state, moveObj) {
+    const san = (moveObj?.san || moveObj?.move || '').trim();
+    const resolved = this.resolveMoveToken(state, san);
+    if (resolved.nullMove) return this.applyNullMove(state);
+    const { candidates } = resolved;
+    if (candidates.length !== 1) {
+      throw new Error(`${candidates.length ? 'Ambiguous' : 'Illegal'} move "${san}"`);
+    }
+    return this.applyMove(state, candidates[0]);
+  },
+
+  // Embedded [%cmd ...] comment commands that are parsed into move fields
+  COMMENT_COMMANDS: ['cal', 'csl', 'clk', 'emt'],
+
+  // Arrow / highlight colors used by Lichess and ChessBase
+  ANNOTATION_COLORS: { G: '#15781B', R: '#882020', Y: '#E68F00', B: '#003088' },
+
+  // Split known [%cmd args] commands out of a comment's text
+  extractCommentCommands(comment) {
+    const commands = [];
+    const text = comment.replace(/\[%(\w+)\s+([^\]]*)\]/g, (match, name, args) => {
+      if (!this.COMMENT_COMMANDS.includes(name)) return match;
+      commands.push({ name, args: args.trim() });
+      return ' ';
+    }).replace(/\s+/g, ' ').trim();
+    return { text, commands };
+  },
+
+  // Attach comment text to a move, moving %cal arrows and %csl squares to fields
+  addComment(move, rawText) {
+    const { text, commands } = this.extractCommentCommands(rawText);
+    for (const { name, args } of commands) {
+      const items = args.split(',').map(a => a.trim()).filter(Boolean);
+      if (name === 'cal') {
+        for (const item of items) {
+          const m = item.match(/^([GRYB])([a-h][1-8])([a-h][1-8])$/);
+          if (m) (move.arrows = move.arrows || []).push({ color: m[1], from: m[2], to: m[3] });
+        }
+      } else if (name === 'clk' || name === 'emt') {
+        const seconds = this.parseClock(args);
+        if (seconds !== null) move[name === 'clk' ? 'clock' : 'emt'] = seconds;
+      } else if (name === 'csl') {
+        for (const item of items) {
+          const m = item.match(/^([GRYB])([a-h][1-8])$/);
+          if (m) (move.highlights = move.highlights || []).push({ color: m[1], square: m[2] });
+        }
+      }
+    }
+    if (text) move.comment = [move.comment, text].filter(Boolean).join(' ');
+  },
+
+  // Copy of `move` whose comment, arrows, highlights and clock times all come from `rawText`
+  setComment(move, rawText) {
+    const copy = { ...move, comment: '' };
+    for (const field of ['arrows', 'highlights', 'clock', 'emt']) delete copy[field];
+    this.addComment(copy, rawText);
+    return copy;
+  },
+
+  /**
+   * Comment body for export, with structured annotations written back as
+   * commands. `comments: false` drops text, arrows and highlights;
+   * `clocks: false` drops %clk / %emt.
+   */
+  formatComment(move, { comments = true, clocks = true } = {}) {
+    const parts = [];
+    if (comments && move.highlights?.length) {
+      parts.push(`[%csl ${move.highlights.map(h => h.color + h.square).join(',')}]`);
+    }
+    if (comments && move.arrows?.length) {
+      parts.push(`[%cal ${move.arrows.map(a => a.color + a.from + a.to).join(',')}]`);
+    }
+    if (clocks && move.clock != null) parts.push(`[%clk ${this.formatClock(move.clock)}]`);
+    if (clocks && move.emt != null) parts.push(`[%emt ${this.formatClock(move.emt)}]`);
+    if (comments && move.comment) parts.push(move.comment);
+    return parts.join(' ');
+  },
+
+  // "1:23:45", "23:45" or "45.2" to seconds; null when unreadable
+  parseClock(value) {
+    const parts = String(value).trim().split(':');
+    if (!parts.length || parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return null;
+    return parts.reduce((total, p) => total * 60 + parseFloat(p), 0);
+  },
+
+  // Seconds to H:MM:SS, keeping tenths when present
+  formatClock(seconds) {
+    const totalTenths = Math.round(seconds * 10);
+    const whole = Math.floor(totalTenths / 10);
+    const tenths = totalTenths % 10;
+    const h = Math.floor(whole / 3600);
+    const m = Math.floor((whole % 3600) / 60);
+    const sec = whole % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${h}:${pad(m)}:${pad(sec)}${tenths ? `.${tenths}` : ''}`;
+  },
+
+  // Base time and increment in seconds from a TimeControl tag such as "5400+30"
+  parseTimeControl(tag) {
+    const m = (tag || '').match(/^(\d+)(?:\+(\d+))?$/);
+    return m ? { base: parseInt(m[1], 10), increment: parseInt(m[2] || 0, 10) } : null;
+  },
+
+  // Game termination markers
+  RESULTS: ['1-0', '0-1', '1/2-1/2', '*'],
+
+  // Seven Tag Roster in export order, with the placeholder for unknown values
+  SEVEN_TAG_ROSTER: [
+    ['Event', '?'], ['Site', '?'], ['Date', '????.??.??'], ['Round', '?'],
+    ['White', '?'], ['Black', '?'], ['Result', '*'],
+  ],
+
+  // Tags whose values are kept in step with the game's start position rather than edited directly
+  SETUP_TAGS: ['SetUp', 'FEN'],
+
+  /**
+   * Problem with a tag pair, or null when it is acceptable. Tag names are
+   * PGN symbols; dates are YYYY.MM.DD with ?? for unknown parts, Result is a
+   * termination marker and ratings are whole numbers ("-" when unrated).
+   */
+  validateTag(name, value) {
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) return 'Tag names use letters, digits and underscores';
+    if (/[\r\n]/.test(value)) return 'Tag values must fit on one line';
+    if (/Date$/.test(name)) {
+      const m = value.match(/^(\d{4}|\?{4})\.(\d{2}|\?{2})\.(\d{2}|\?{2})$/);
+      if (!m) return 'Date must be YYYY.MM.DD (?? for unknown parts)';
+      if (m[2] !== '??' && (+m[2] < 1 || +m[2] > 12)) return 'Month must be 01-12';
+      if (m[3] !== '??' && (+m[3] < 1 || +m[3] > 31)) return 'Day must be 01-31';
+    }
+    if (name === 'Result' && !this.RESULTS.includes(value)) return `Result must be one of ${this.RESULTS.join(', ')}`;
+    if (/Elo$/.test(name) && !/^(\d+|-)?$/.test(value)) return 'Rating must be a number';
+    return null;
+  },
+
+  // Tags for export: the Seven Tag Roster first and always present, then the rest
+  orderedHeaders(headers = {}, result) {
+    const roster = this.SEVEN_TAG_ROSTER.map(([tag, fallback]) => {
+      if (tag === 'Result') return [tag, headers.Result || result || fallback];
+      return [tag, headers[tag] || fallback];
+    });
+    const rosterTags = this.SEVEN_TAG_ROSTER.map(([tag]) => tag);
+    const rest = Object.entries(headers).filter(([tag]) => !rosterTags.includes(tag));
+    return [...roster, ...rest];
+  },
+
+  // Traditional move suffixes and the NAG each one stands for
+  MOVE_SUFFIX_NAGS: { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 },
+
+  /**
+   * Split PGN text into tokens following the PGN standard: tag pairs (with
+   * \" and \\ escapes), brace and rest-of-line (;) comments, % escape lines,
+   * variation parentheses, move numbers, NAGs, results and move symbols.
+   * Lexical problems come back as { type: 'error', reason } tokens.
+   */
+  tokenizePGN(text) {
+    const tokens = [];
+    const tagRe = /\[\s*([A-Za-z0-9_]+)\s*"((?:[^"\\\n]|\\.)*)"\s*\]/y;
+    const isDelimiter = (ch) => ch === undefined || /[\s(){}[\];"]/.test(ch);
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text[i];
+
+      if (/\s/.test(ch)) { i++; continue; }
+
+      if (ch === '%' && (i === 0 || text[i - 1] === '\n')) {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end;
+        continue;
+      }
+
+      if (ch === ';') {
+        const end = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+        tokens.push({ type: 'comment', value: text.slice(i + 1, end), offset: i });
+        i = end;
+        continue;
+      }
+
+      if (ch === '{') {
+        const end = text.indexOf('}', i);
+        if (end === -1) {
+          tokens.push({ type: 'error', value: '{', offset: i, reason: 'Unterminated comment' });
+          break;
+        }
+        tokens.push({ type: 'comment', value: text.slice(i + 1, end), offset: i });
+        i = end + 1;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch === '(' ? 'open' : 'close', value: ch, offset: i });
+        i++;
+        continue;
+      }
+
+      if (ch === '[') {
+        tagRe.lastIndex = i;
+        const m = tagRe.exec(text);
+        if (m) {
+          tokens.push({ type: 'tag', name: m[1], value: m[2].replace(/\\(["\\])/g, '$1'), offset: i });
+          i = tagRe.lastIndex;
+        } else {
+          const lineEnd = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+          tokens.push({ type: 'error', value: text.slice(i, lineEnd).trim(), offset: i, reason: 'Bad header' });
+          i = lineEnd;
+        }
+        continue;
+      }
+
+      if (isDelimiter(ch)) {
+        tokens.push({ type: 'error', value: ch, offset: i, reason: 'Unknown token' });
+        i++;
+        continue;
+      }
+
+      let j = i;
+      while (!isDelimiter(text[j])) j++;
+      const word = text.slice(i, j);
+
+      if (this.RESULTS.includes(word)) {
+        tokens.push({ type: 'result', value: word, offset: i });
+        i = j;
+        continue;
+      }
+
+      // Move number indication, possibly glued to the move ("12.Nf3", "12...Nf6"),
+      // or a run of periods standing on its own ("12. ... Nf6"); the UCI null
+      // move "0000" is a move, not a number
+      const number = !this.NULL_MOVES.includes(word) && word.match(/^(\d*)(\.*)/);
+      if (number?.[0] && (number[2] || number[0] === word)) {
+        tokens.push({ type: 'number', value: number[0], offset: i });
+        i += number[0].length;
+        continue;
+      }
+
+      tokens.push({ type: /^\$\d+$/.test(word) ? 'nag' : 'symbol', value: word, offset: i });
+      i = j;
+    }
+    return tokens;
+  },
+
+  /**
+   * Parse PGN text into games. Problems are appended to `options.diagnostics`
+   * as { gameIndex, line, column, token, reason, path } instead of being
+   * swallowed; `gameIndexOffset` and `lineOffset` let callers that parse a
+   * file in pieces report positions relative to the whole file. Each game's
+   * source span in the text (with \r removed) is appended to `options.ranges`
+   * as { start, end }.
+   */
+  parsePGN(pgnText, { diagnostics = [], ranges = [], gameIndexOffset = 0, lineOffset = 0 } = {}) {
+    if (!pgnText?.trim()) return [];
+
+    const text = pgnText.replace(/\r/g, '');
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    const locate = (offset) => {
+      let lo = 0, hi = lineStarts.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+      }
+      return { line: lineOffset + lo + 1, column: offset - lineStarts[lo] + 1 };
+    };
+
+    // A game ends at its termination marker, or where the next tag section starts
+    const rawGames = [];
+    let current = null;
+    let depth = 0;
+    for (const token of this.tokenizePGN(text)) {
+      if (token.type === 'tag' && (!current || current.hasMoveText)) {
+        current = null;
+      }
+      if (!current) {
+        current = { tags: [], tokens: [], hasMoveText: false, start: token.offset };
+        rawGames.push(current);
+        depth = 0;
+      }
+      if (token.type === 'tag') {
+        current.tags.push(token);
+        continue;
+      }
+      current.tokens.push(token);
+      if (token.type !== 'comment' && token.type !== 'error') current.hasMoveText = true;
+      if (token.type === 'open') depth++;
+      if (token.type === 'close') depth = Math.max(0, depth - 1);
+      if (token.type === 'result' && depth === 0) current = null;
+    }
+
+    // A game's text runs up to the next game, less the whitespace between them
+    rawGames.forEach((raw, i) => {
+      const next = i + 1 < rawGames.length ? rawGames[i + 1].start : text.length;
+      raw.end = raw.start + text.slice(raw.start, next).trimEnd().length;
+    });
+
+    const games = [];
+
+    for (const { tags, tokens, start, end } of rawGames) {
+      const gameIndex = gameIndexOffset + games.length;
+      const problems = [];
+      const report = (offset, token, reason, path = null) => {
+        problems.push({ gameIndex, ...locate(offset), token, reason, path });
+      };
+
+      try {
+        const headers = {};
+        const tagOffsets = {};
+        for (const tag of tags) {
+          headers[tag.name] = tag.value;
+          tagOffsets[tag.name] = tag.offset;
+        }
+        let moveTokens = tokens;
+
+        let startFen = this.initialFen;
+        const isChess960 = /960|fischerandom/i.test(headers.Variant || '');
+        if (headers.FEN && (headers.SetUp === '1' || headers.SetUp === 'true' || isChess960)) {
+          const fenProblem = this.fenError(headers.FEN);
+          // Moves can't be replayed from a position that doesn't exist
+          if (fenProblem) {
+            report(tagOffsets.FEN, headers.FEN, `Bad header (${fenProblem})`);
+            moveTokens = [];
+          } else {
+            startFen = headers.FEN.trim();
+          }
+        }
+        const startState = this.fenToState(startFen);
+
+        // Moves are executed as they are read; each frame tracks one line of play
+        const moves = [];
+        const root = { moves, path: [], state: startState, prevState: null, dead: false };
+        const stack = [root];
+        let commentBefore = '';
+        let result = '';
+
+        for (const token of moveTokens) {
+          const tok = token.value;
+          const tokPos = token.offset;
+          const frame = stack[stack.length - 1];
+
+          if (token.type === 'error') {
+            report(tokPos, tok, token.reason);
+            continue;
+          }
+
+          if (token.type === 'comment') {
+            const text = tok.replace(/\s+/g, ' ').trim();
+            const last = frame.moves[frame.moves.length - 1];
+            if (frame.dead || !text) continue;
+            // A comment follows the move it annotates; one opening a line precedes it
+            if (last) this.addComment(last, text);
+            else commentBefore = [commentBefore, text].filter(Boolean).join(' ');
+            continue;
+          }
+
+          if (token.type === 'open') {
+            const parent = frame.moves[frame.moves.length - 1];
+            if (!parent) {
+              report(tokPos, tok, 'Variation before any move');
+              stack.push({ moves: [], path: frame.path, state: null, prevState: null, dead: true, orphan: true });
+              continue;
+            }
+            parent.variations = parent.variations || [];
+            parent.variations.push([]);
+            stack.push({
+              moves: parent.variations[parent.variations.length - 1],
+              path: [...frame.path, frame.moves.length - 1, parent.variations.length - 1],
+              state: frame.prevState,
+              prevState: null,
+              dead: frame.dead,
+              parent,
+            });
+            continue;
+          }
+
+          if (token.type === 'close') {
+            if (stack.length === 1) { report(tokPos, tok, 'Unbalanced parenthesis'); continue; }
+            stack.pop();
+            if (frame.parent && !frame.moves.length) {
+              frame.parent.variations.pop();
+              if (!frame.parent.variations.length) delete frame.parent.variations;
+            }
+            continue;
+          }
+
+          if (token.type === 'number') continue;
+
+          if (token.type === 'result') {
+            if (stack.length === 1 && !result) {
+              result = tok;
+              if (headers.Result && headers.Result !== tok) {
+                report(tokPos, tok, `Result mismatch (header says ${headers.Result})`);
+              }
+            }
+            continue;
+          }
+
+          const nagMatch = tok.match(/^\$(\d+)$/) || tok.match(/^(!!|\?\?|!\?|\?!|!|\?)$/);
+          if (nagMatch) {
+            const last = frame.moves[frame.moves.length - 1];
+            const nag = this.MOVE_SUFFIX_NAGS[nagMatch[1]] || parseInt(nagMatch[1], 10);
+            if (nag > 255) report(tokPos, tok, 'NAG out of range (0-255)');
+            else if (last) last.nags.push(nag);
+            continue;
+          }
+
+          const [, body, suffix] = tok.match(/^(.*?)(!!|\?\?|!\?|\?!|!|\?)?$/);
+          const figurine = body.replace(/[♔♕♖♗♘♙♚♛♜♝♞♟]/g, ch => this.FIGURINES[ch]);
+          const isMoveToken = this.NULL_MOVES.includes(body) || this.LOOSE_MOVE_RE.test(figurine);
+          if (!isMoveToken) {
+            report(tokPos, tok, 'Unknown token');
+            continue;
+          }
+          if (frame.dead) { commentBefore = ''; continue; }
+
+          const state = frame.state;
+          const isWhite = state.active === 'w';
+          const path = [...frame.path, frame.moves.length];
+          const resolved = this.resolveMoveToken(state, body);
+          const moveObj = {
+            number: isWhite ? state.fullmove : state.fullmove + 0.5,
+            move: resolved.san || body,
+            san: resolved.san || body,
+            isWhite,
+            comment: '',
+            nags: suffix ? [this.MOVE_SUFFIX_NAGS[suffix]] : []
+          };
+          if (commentBefore) moveObj.commentBefore = commentBefore;
+          commentBefore = '';
+
+          if (resolved.nullMove) {
+            const newState = this.applyNullMove(state);
+            moveObj.isNull = true;
+            moveObj.fenAfter = this.stateToFen(newState);
+            frame.moves.push(moveObj);
+            frame.prevState = state;
+            frame.state = newState;
+            continue;
+          }
+
+          // A move that can't be played, or could be several, ends its line
+          const candidates = resolved.candidates;
+          if (candidates.length !== 1) {
+            report(tokPos, tok, candidates.length ? 'Ambiguous move' : 'Illegal move', path);
+            moveObj.illegal = true;
+            moveObj.fenAfter = this.stateToFen(state);
+            frame.moves.push(moveObj);
+            frame.dead = true;
+            continue;
+          }
+
+          const newState = this.applyMove(state, candidates[0]);
+          moveObj.fenAfter = this.stateToFen(newState);
+          frame.moves.push(moveObj);
+          frame.prevState = state;
+          frame.state = newState;
+        }
+
+        if (stack.length > 1) {
+          report(text.length, '(', 'Unbalanced parenthesis');
+          for (const frame of stack.slice(1)) {
+            if (frame.parent && !frame.moves.length) {
+              frame.parent.variations.pop();
+              if (!frame.parent.variations.length) delete frame.parent.variations;
+            }
+          }
+        }
+
+        if (moves.length || Object.keys(headers).length) {
+          games.push({ headers, moves, initialFen: startFen, result: result || headers.Result || '*' });
+          ranges.push({ start, end });
+          diagnostics.push(...problems);
+        }
+      } catch (err) {
+        report(tokens[0]?.offset ?? tags[0]?.offset ?? 0, '', `Parse error: ${err.message}`);
+        diagnostics.push(...problems);
+      }
+    }
+
+    return games;
+  }
+};
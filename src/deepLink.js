@@ -0,0 +1,56 @@
+/**
+ * URL hash deep links: `#g=3&m=23.0.1&o=b&t=info&pgn=...`
+ *  g   - game number in the collection (1-based)
+ *  m   - move path, indices joined with dots ([move, variation, move, ...])
+ *  o   - 'b' when the board is flipped
+ *  t   - active side panel tab
+ *  pgn - optional game text, deflate-compressed and base64url-encoded
+ */
+export const DeepLink = {
+  TABS: ['moves', 'analysis', 'info'],
+
+  // Longest encoded PGN put into a link; larger games are shared as a view only
+  MAX_PGN_LENGTH: 6000,
+
+  parse(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const game = parseInt(params.get('g'), 10);
+    const path = (params.get('m') || '').split('.').filter(Boolean).map(Number);
+    const tab = params.get('t');
+    return {
+      gameIndex: game > 0 ? game - 1 : 0,
+      path: path.length % 2 === 1 && path.every(n => Number.isInteger(n) && n >= 0) ? path : [],
+      flipped: params.get('o') === 'b',
+      tab: this.TABS.includes(tab) ? tab : null,
+      pgn: params.get('pgn'),
+      hasView: ['g', 'm', 'o', 't'].some(key => params.has(key)),
+    };
+  },
+
+  build({ gameIndex = 0, path = [], flipped = false, tab = null, pgn = null }) {
+    const params = new URLSearchParams();
+    params.set('g', String(gameIndex + 1));
+    if (path.length) params.set('m', path.join('.'));
+    if (flipped) params.set('o', 'b');
+    if (tab) params.set('t', tab);
+    if (pgn) params.set('pgn', pgn);
+    return `#${params.toString()}`;
+  },
+
+  async compress(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  async decompress(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  },
+};
@@ -0,0 +1,17 @@
+import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import EmbedViewer from './EmbedViewer.jsx';
+import './index.css';
+
+const params = new URLSearchParams(window.location.search);
+
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <EmbedViewer
+      initialSrc={params.get('src')}
+      initialPly={parseInt(params.get('ply'), 10) || 0}
+      initialFlipped={params.get('orientation') === 'black'}
+      initialTheme={params.get('theme') === 'light' ? 'light' : 'dark'}
+    />
+  </StrictMode>
+);
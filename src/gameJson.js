@@ -0,0 +1,231 @@
+/**
+ * Versioned JSON form of parsed games, so other tools can read the game tree
+ * without reparsing PGN. Version 1 document:
+ *
+ *   {
+ *     format: 'pgn-viewer-game-tree', version: 1,
+ *     games: [{ headers: {Tag: 'value'}, initialFen, result, moves: [Node] }],
+ *     bookmarks: [{ game: 0, path: [4, 0, 1], desc }]
+ *   }
+ *
+ * Node: { san, fen, nags?, comment?, commentBefore?, arrows?: [{color, from, to}],
+ * highlights?: [{color, square}], clock?, emt?, isNull?, illegal?, variations?: [[Node]] }
+ *
+ * A variation replaces the move it is attached to, and paths use the same
+ * [move, variation, move, ...] layout as the viewer. `fen` is the position after
+ * the move; on import it is recomputed from the SAN and must match if present.
+ */
+import { ChessUtils } from './chessUtils.js';
+
+export const GameJson = {
+  FORMAT: 'pgn-viewer-game-tree',
+  VERSION: 1,
+
+  moveToNode(move) {
+    const node = { san: move.san, fen: move.fenAfter };
+    if (move.nags?.length) node.nags = [...move.nags];
+    if (move.comment) node.comment = move.comment;
+    if (move.commentBefore) node.commentBefore = move.commentBefore;
+    if (move.arrows?.length) node.arrows = move.arrows.map(a => ({ ...a }));
+    if (move.highlights?.length) node.highlights = move.highlights.map(h => ({ ...h }));
+    if (move.clock != null) node.clock = move.clock;
+    if (move.emt != null) node.emt = move.emt;
+    if (move.isNull) node.isNull = true;
+    if (move.illegal) node.illegal = true;
+    if (move.variations?.length) node.variations = move.variations.map(v => v.map(m => this.moveToNode(m)));
+    return node;
+  },
+
+  gameToJson(game) {
+    return {
+      headers: { ...(game.headers || {}) },
+      initialFen: game.initialFen || ChessUtils.initialFen,
+      result: game.result || game.headers?.Result || '*',
+      moves: (game.moves || []).map(m => this.moveToNode(m)),
+    };
+  },
+
+  // Document for a list of games; bookmarks carry viewer game indices, remapped to positions in `games`
+  toJson(games, bookmarks = [], gameIndices = games.map((_, i) => i)) {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      games: games.map(g => this.gameToJson(g)),
+      bookmarks: bookmarks
+        .filter(bm => gameIndices.includes(bm.gameIndex))
+        .map(bm => ({ game: gameIndices.indexOf(bm.gameIndex), path: [...bm.movePath], desc: bm.desc })),
+    };
+  },
+
+  /**
+   * Validate a document (object or JSON text) and rebuild viewer games and
+   * bookmarks from it. Throws an Error naming the offending location.
+   */
+  fromJson(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+      try {
+        doc = JSON.parse(input);
+      } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+      }
+    }
+    const fail = (where, message) => { throw new Error(`${where}: ${message}`); };
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    if (!isObject(doc)) fail('document', 'expected an object');
+    if (doc.format !== this.FORMAT) fail('format', `expected "${this.FORMAT}"`);
+    if (!Number.isInteger(doc.version) || doc.version < 1) fail('version', 'expected a positive integer');
+    if (doc.version > this.VERSION) fail('version', `version ${doc.version} is newer than supported (${this.VERSION})`);
+    if (!Array.isArray(doc.games)) fail('games', 'expected an array');
+
+    const games = doc.games.map((g, gi) => this.readGame(g, `games[${gi}]`, fail, isObject));
+
+    const bookmarks = [];
+    if (doc.bookmarks !== undefined) {
+      if (!Array.isArray(doc.bookmarks)) fail('bookmarks', 'expected an array');
+      doc.bookmarks.forEach((bm, bi) => {
+        const where = `bookmarks[${bi}]`;
+        if (!isObject(bm)) fail(where, 'expected an object');
+        if (!Number.isInteger(bm.game) || !games[bm.game]) fail(`${where}.game`, 'no such game');
+        if (!Array.isArray(bm.path) || !bm.path.length || bm.path.length % 2 === 0 ||
+            !bm.path.every(n => Number.isInteger(n) && n >= 0)) {
+          fail(`${where}.path`, 'expected [move, variation, move, ...] indices');
+        }
+        let seq = games[bm.game].moves;
+        for (let k = 0; k < bm.path.length - 1; k += 2) {
+          seq = seq[bm.path[k]]?.variations?.[bm.path[k + 1]];
+          if (!seq) fail(`${where}.path`, 'does not point to a move');
+        }
+        const move = seq[bm.path[bm.path.length - 1]];
+        if (!move) fail(`${where}.path`, 'does not point to a move');
+        if (bm.desc !== undefined && typeof bm.desc !== 'string') fail(`${where}.desc`, 'expected a string');
+        bookmarks.push({
+          gameIndex: bm.game,
+          movePath: [...bm.path],
+          desc: bm.desc || `Move ${Math.floor(move.number)}${move.isWhite ? '' : '...'} ${move.move}`,
+          fen: move.fenAfter,
+        });
+      });
+    }
+
+    return { games, bookmarks };
+  },
+
+  // Structural FEN check: six fields, eight ranks of eight squares, one king per side
+  isValidFen(fen) {
+    return typeof fen === 'string' && fen.trim().split(/\s+/).length === 6 && !ChessUtils.fenError(fen);
+  },
+
+  readGame(g, where, fail, isObject) {
+    if (!isObject(g)) fail(where, 'expected an object');
+    const headers = g.headers === undefined ? {} : g.headers;
+    if (!isObject(headers) || !Object.values(headers).every(v => typeof v === 'string')) {
+      fail(`${where}.headers`, 'expected an object of string tag values');
+    }
+    const initialFen = g.initialFen === undefined ? ChessUtils.initialFen : g.initialFen;
+    if (!this.isValidFen(initialFen)) fail(`${where}.initialFen`, 'invalid FEN');
+    const result = g.result === undefined ? (headers.Result || '*') : g.result;
+    if (!ChessUtils.RESULTS.includes(result)) fail(`${where}.result`, `expected one of ${ChessUtils.RESULTS.join(', ')}`);
+    if (!Array.isArray(g.moves)) fail(`${where}.moves`, 'expected an array');
+
+    const moves = this.readLine(g.moves, ChessUtils.fenToState(initialFen), `${where}.moves`, fail, isObject);
+    return { headers: { ...headers }, moves, initialFen, result };
+  },
+
+  // Replay a line of nodes from `state`, validating each node and rebuilding its FEN
+  readLine(nodes, state, where, fail, isObject) {
+    const moves = [];
+    const squareRe = /^[a-h][1-8]$/;
+    const colorRe = /^[A-Z]$/;
+
+    nodes.forEach((node, i) => {
+      const at = `${where}[${i}]`;
+      if (!isObject(node)) fail(at, 'expected an object');
+      if (typeof node.san !== 'string' || !node.san) fail(`${at}.san`, 'expected a move');
+      if (moves[moves.length - 1]?.illegal) fail(at, 'moves cannot follow an illegal move');
+
+      const isWhite = state.active === 'w';
+      const move = {
+        number: isWhite ? state.fullmove : state.fullmove + 0.5,
+        move: node.san,
+        san: node.san,
+        isWhite,
+        comment: '',
+        nags: [],
+      };
+
+      if (node.nags !== undefined) {
+        if (!Array.isArray(node.nags) || !node.nags.every(n => Number.isInteger(n) && n >= 0 && n <= 255)) {
+          fail(`${at}.nags`, 'expected integers 0-255');
+        }
+        move.nags = [...node.nags];
+      }
+      for (const key of ['comment', 'commentBefore']) {
+        if (node[key] === undefined) continue;
+        if (typeof node[key] !== 'string') fail(`${at}.${key}`, 'expected a string');
+        if (node[key]) move[key] = node[key];
+      }
+      if (node.arrows !== undefined) {
+        if (!Array.isArray(node.arrows) || !node.arrows.every(a =>
+          isObject(a) && colorRe.test(a.color) && squareRe.test(a.from) && squareRe.test(a.to))) {
+          fail(`${at}.arrows`, 'expected [{color, from, to}]');
+        }
+        if (node.arrows.length) move.arrows = node.arrows.map(({ color, from, to }) => ({ color, from, to }));
+      }
+      if (node.highlights !== undefined) {
+        if (!Array.isArray(node.highlights) || !node.highlights.every(h =>
+          isObject(h) && colorRe.test(h.color) && squareRe.test(h.square))) {
+          fail(`${at}.highlights`, 'expected [{color, square}]');
+        }
+        if (node.highlights.length) move.highlights = node.highlights.map(({ color, square }) => ({ color, square }));
+      }
+      for (const key of ['clock', 'emt']) {
+        if (node[key] === undefined) continue;
+        if (typeof node[key] !== 'number' || !(node[key] >= 0)) fail(`${at}.${key}`, 'expected seconds');
+        move[key] = node[key];
+      }
+
+      let nextState;
+      if (node.illegal) {
+        move.illegal = true;
+        nextState = state;
+      } else {
+        const resolved = ChessUtils.resolveMoveToken(state, node.san);
+        if (resolved.nullMove) {
+          move.isNull = true;
+          nextState = ChessUtils.applyNullMove(state);
+        } else {
+          // An ambiguous SAN is accepted when the stored FEN says which move was meant
+          const results = resolved.candidates.map(c => ChessUtils.applyMove(state, c));
+          nextState = results.length === 1
+            ? results[0]
+            : results.find(s => node.fen !== undefined && ChessUtils.stateToFen(s) === node.fen);
+          if (!nextState) {
+            fail(`${at}.san`, `${results.length ? 'ambiguous' : 'illegal'} move "${node.san}"`);
+          }
+        }
+        move.move = move.san = resolved.san || node.san;
+      }
+      move.fenAfter = ChessUtils.stateToFen(nextState);
+      if (node.fen !== undefined && node.fen !== move.fenAfter) {
+        fail(`${at}.fen`, `does not match the position after ${node.san} (${move.fenAfter})`);
+      }
+
+      if (node.variations !== undefined) {
+        if (!Array.isArray(node.variations) || !node.variations.every(v => Array.isArray(v) && v.length)) {
+          fail(`${at}.variations`, 'expected non-empty arrays of moves');
+        }
+        if (node.variations.length) {
+          move.variations = node.variations.map((v, vi) =>
+            this.readLine(v, state, `${at}.variations[${vi}]`, fail, isObject));
+        }
+      }
+
+      moves.push(move);
+      state = nextState;
+    });
+
+    return moves;
+  },
+};
@@ -0,0 +1,225 @@
+/**
+ * Immutable edits of a game's move tree. Paths are the viewer's move paths
+ * ([i] or [i, variation, j, ...]); a sequence path is the same list without
+ * the final move index ([] for the main line). Edits copy only the sequences
+ * along the path, so unchanged lines keep their identity.
+ */
+import { ChessUtils } from './chessUtils.js';
+
+export const GameTree = {
+  // Copy of `moves` with the sequence at `seqPath` replaced by `edit(copyOfSequence)`
+  updateSequence(moves, seqPath, edit) {
+    if (!seqPath.length) return edit([...moves]);
+    const [index, variation, ...rest] = seqPath;
+    const copy = [...moves];
+    const variations = [...copy[index].variations];
+    variations[variation] = this.updateSequence(variations[variation], rest, edit);
+    copy[index] = { ...copy[index], variations };
+    return copy;
+  },
+
+  // Copy of `moves` with the move at `path` replaced by `edit(copyOfMove)`
+  updateMove(moves, path, edit) {
+    const seqPath = path.slice(0, -1);
+    const index = path[path.length - 1];
+    return this.updateSequence(moves, seqPath, seq => {
+      seq[index] = edit({ ...seq[index] });
+      return seq;
+    });
+  },
+
+  // Sequence holding the move at `path`, and the move's index in it
+  locate(moves, path) {
+    let seq = moves;
+    for (let k = 0; k < path.length - 1; k += 2) seq = seq[path[k]].variations[path[k + 1]];
+    return { seq, seqPath: path.slice(0, -1), index: path.length ? path[path.length - 1] : -1 };
+  },
+
+  // Move node, as produced by the parser, for a generator move played from `fen`
+  createMove(fen, legalMove) {
+    const state = ChessUtils.fenToState(fen);
+    const san = ChessUtils.moveToSan(state, legalMove);
+    const isWhite = state.active === 'w';
+    return {
+      number: isWhite ? state.fullmove : state.fullmove + 0.5,
+      move: san,
+      san,
+      isWhite,
+      comment: '',
+      nags: [],
+      fenAfter: ChessUtils.stateToFen(ChessUtils.applyMove(state, legalMove)),
+    };
+  },
+
+  /**
+   * Play `node` after the move at `path` ([] = the starting position).
+   * An existing continuation with the same SAN is reused; otherwise the
+   * move extends the line or opens a new variation. Returns the moves
+   * (the same array when nothing changed) and the path of the played move.
+   */
+  addMove(moves, path, node) {
+    const { seq, seqPath, index } = this.locate(moves, path);
+    const next = seq[index + 1];
+
+    if (!next) {
+      return { moves: this.updateSequence(moves, seqPath, s => [...s, node]), path: [...seqPath, index + 1] };
+    }
+    if (next.san === node.san) return { moves, path: [...seqPath, index + 1] };
+
+    const variations = next.variations || [];
+    const existing = variations.findIndex(v => v[0]?.san === node.san);
+    if (existing >= 0) return { moves, path: [...seqPath, index + 1, existing, 0] };
+
+    const updated = this.updateSequence(moves, seqPath, s => {
+      s[index + 1] = { ...next, variations: [...variations, [node]] };
+      return s;
+    });
+    return { moves: updated, path: [...seqPath, index + 1, variations.length, 0] };
+  },
+
+  // Copy of a move with the given alternatives (none drops the field)
+  withVariations(move, variations) {
+    const copy = { ...move };
+    if (variations.length) copy.variations = variations;
+    else delete copy.variations;
+    return copy;
+  },
+
+  // SANs of the moves leading to and including the one at `path`, or null if there is no such move
+  lineOf(moves, path) {
+    const sans = [];
+    let seq = moves;
+    for (let k = 0; k < path.length; k += 2) {
+      if (!seq?.[path[k]]) return null;
+      sans.push(...seq.slice(0, path[k]).map(m => m.san));
+      if (k + 1 === path.length) sans.push(seq[path[k]].san);
+      else seq = seq[path[k]].variations?.[path[k + 1]];
+    }
+    return sans;
+  },
+
+  // Path of the move reached by playing `sans` from the start, following variations as needed, or null
+  findLine(moves, sans) {
+    let seq = moves;
+    let seqPath = [];
+    let index = -1;
+    for (const san of sans) {
+      const next = seq[index + 1];
+      if (!next) return null;
+      if (next.san === san) {
+        index++;
+        continue;
+      }
+      const variation = (next.variations || []).findIndex(line => line[0]?.san === san);
+      if (variation < 0) return null;
+      seqPath = [...seqPath, index + 1, variation];
+      seq = next.variations[variation];
+      index = 0;
+    }
+    return sans.length ? [...seqPath, index] : null;
+  },
+
+  /**
+   * Path in `after` of the move at `path` in `before`, found by the moves
+   * leading to it; null once it is gone. `from` is a line cut off the start
+   * of the game: only moves after it survive, reached from the new start.
+   */
+  remapPath(before, after, path, from = []) {
+    const line = this.lineOf(before, path);
+    if (!line || line.length <= from.length || from.some((san, i) => line[i] !== san)) return null;
+    return this.findLine(after, line.slice(from.length));
+  },
+
+  // Path of the move played just before the one at `path` ([] at the start of the game)
+  previousPath(path) {
+    if (!path.length) return [];
+    const index = path[path.length - 1];
+    if (index > 0) return [...path.slice(0, -1), index - 1];
+    return path.length > 1 ? this.previousPath(path.slice(0, -2)) : [];
+  },
+
+  // Index of the nearest move at or before `path` in its sequence that has alternatives, or -1
+  branchIndex(moves, path) {
+    const { seq, index } = this.locate(moves, path);
+    let j = index;
+    while (j >= 0 && !seq[j].variations?.length) j--;
+    return j;
+  },
+
+  // Swap the variation holding `path` with the line it branches from
+  promoteVariation(moves, path) {
+    const seqPath = path.slice(0, -1);
+    if (!seqPath.length) return null;
+    const parentSeqPath = seqPath.slice(0, -2);
+    const [branch, variation] = seqPath.slice(-2);
+    const updated = this.updateSequence(moves, parentSeqPath, seq => {
+      const variations = [...seq[branch].variations];
+      const [head, ...rest] = variations[variation];
+      variations[variation] = [this.withVariations(seq[branch], []), ...seq.slice(branch + 1)];
+      return [
+        ...seq.slice(0, branch),
+        this.withVariations(head, [...variations, ...(head.variations || [])]),
+        ...rest,
+      ];
+    });
+    return { moves: updated, path: [...parentSeqPath, branch + path[path.length - 1]] };
+  },
+
+  // Turn the line through `path` into the first alternative of its nearest branch point
+  demoteLine(moves, path) {
+    const { seqPath, index } = this.locate(moves, path);
+    const branch = this.branchIndex(moves, path);
+    if (branch < 0) return null;
+    const { moves: updated } = this.promoteVariation(moves, [...seqPath, branch, 0, 0]);
+    return { moves: updated, path: [...seqPath, branch, 0, index - branch] };
+  },
+
+  // Promote the line through `path` until it is part of the main line
+  makeMainLine(moves, path) {
+    let result = { moves, path };
+    while (result.path.length > 1) result = this.promoteVariation(result.moves, result.path);
+    return result;
+  },
+
+  // Remove the whole variation holding `path`
+  deleteVariation(moves, path) {
+    const seqPath = path.slice(0, -1);
+    if (!seqPath.length) return null;
+    const parentSeqPath = seqPath.slice(0, -2);
+    const [branch, variation] = seqPath.slice(-2);
+    const updated = this.updateSequence(moves, parentSeqPath, seq => {
+      seq[branch] = this.withVariations(seq[branch], seq[branch].variations.filter((_, v) => v !== variation));
+      return seq;
+    });
+    return { moves: updated, path: this.previousPath([...parentSeqPath, branch]) };
+  },
+
+  // Remove the move at `path` and everything after it; its first alternative, if any, takes its place
+  deleteFrom(moves, path) {
+    const { seq, seqPath, index } = this.locate(moves, path);
+    const [first, ...others] = seq[index].variations || [];
+    if (!first && index === 0 && seqPath.length) return this.deleteVariation(moves, path);
+
+    const updated = this.updateSequence(moves, seqPath, s => {
+      if (!first) return s.slice(0, index);
+      const [head, ...rest] = first;
+      return [...s.slice(0, index), this.withVariations(head, [...others, ...(head.variations || [])]), ...rest];
+    });
+    return { moves: updated, path: this.previousPath(path) };
+  },
+
+  // Make the position after `path` the game's starting position, keeping the moves that follow it
+  truncateBefore(game, path) {
+    const { seq, index } = this.locate(game.moves, path);
+    const fen = seq[index].fenAfter;
+    return {
+      game: {
+        ...game,
+        headers: { ...game.headers, SetUp: '1', FEN: fen },
+        initialFen: fen,
+        moves: seq.slice(index + 1),
+      },
+      path: [],
+    };
+  },
+};
@@ -0,0 +1,149 @@
+/**
+ * Minimal animated GIF89a encoder. Frames are RGBA ImageData, each given
+ * its own 256-colour palette, and are LZW-compressed as they are added so
+ * only the encoded bytes are kept in memory.
+ */
+export const GifEncoder = {
+  // Start an animation; returns { addFrame(imageData, delayMs), finish() } where finish yields a Blob
+  create(width, height, { loop = 0 } = {}) {
+    const chunks = [];
+    const word = (n) => [n & 255, (n >> 8) & 255];
+
+    chunks.push(new Uint8Array([
+      ...'GIF89a'.split('').map(ch => ch.charCodeAt(0)),
+      ...word(width), ...word(height),
+      0x70, 0, 0, // no global colour table, 8-bit colour resolution
+      // NETSCAPE2.0 application extension: loop count (0 = forever)
+      0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(ch => ch.charCodeAt(0)), 0x03, 0x01, ...word(loop), 0x00,
+    ]));
+
+    return {
+      addFrame: (imageData, delayMs) => {
+        const { palette, indices } = this.quantize(imageData.data);
+        chunks.push(new Uint8Array([
+          // Graphic control extension with the frame delay in centiseconds
+          0x21, 0xf9, 0x04, 0x04, ...word(Math.round(delayMs / 10)), 0x00, 0x00,
+          // Image descriptor with a 256-entry local colour table
+          0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0x87,
+        ]));
+        chunks.push(palette);
+        chunks.push(this.lzw(indices, 8));
+      },
+      finish: () => new Blob([...chunks, new Uint8Array([0x3b])], { type: 'image/gif' }),
+    };
+  },
+
+  /**
+   * Reduce RGBA pixels to at most 256 colours: pixels are binned at 5 bits
+   * per channel, the most frequent bins become the palette (bin averages),
+   * and every other bin maps to its nearest palette entry.
+   */
+  quantize(data) {
+    const pixelCount = data.length / 4;
+    const bins = new Uint16Array(pixelCount);
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+
+    for (let i = 0; i < pixelCount; i++) {
+      const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2];
+      const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+      bins[i] = bin;
+      counts[bin]++;
+      sums[bin * 3] += r;
+      sums[bin * 3 + 1] += g;
+      sums[bin * 3 + 2] += b;
+    }
+
+    const used = [];
+    for (let bin = 0; bin < 32768; bin++) if (counts[bin]) used.push(bin);
+    used.sort((a, b) => counts[b] - counts[a]);
+    const chosen = used.slice(0, 256);
+
+    const palette = new Uint8Array(768);
+    chosen.forEach((bin, i) => {
+      for (let ch = 0; ch < 3; ch++) palette[i * 3 + ch] = Math.round(sums[bin * 3 + ch] / counts[bin]);
+    });
+
+    const lookup = new Int16Array(32768).fill(-1);
+    chosen.forEach((bin, i) => { lookup[bin] = i; });
+    const nearest = (bin) => {
+      const r = sums[bin * 3] / counts[bin], g = sums[bin * 3 + 1] / counts[bin], b = sums[bin * 3 + 2] / counts[bin];
+      let best = 0;
+      let bestDist = Infinity;
+      for (let i = 0; i < chosen.length; i++) {
+        const dr = palette[i * 3] - r, dg = palette[i * 3 + 1] - g, db = palette[i * 3 + 2] - b;
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < bestDist) { bestDist = dist; best = i; }
+      }
+      return best;
+    };
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      const bin = bins[i];
+      if (lookup[bin] < 0) lookup[bin] = nearest(bin);
+      indices[i] = lookup[bin];
+    }
+    return { palette, indices };
+  },
+
+  // Variable-width LZW image data, packed LSB-first into 255-byte sub-blocks
+  lzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dict = new Map();
+    let acc = 0;
+    let bits = 0;
+
+    const emit = (code) => {
+      acc |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        bytes.push(acc & 255);
+        acc >>>= 8;
+        bits -= 8;
+      }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      const code = dict.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      emit(prefix);
+      if (nextCode === 4096) {
+        // Table full: start over with a fresh dictionary
+        emit(clearCode);
+        dict = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        dict.set(key, nextCode++);
+      }
+      prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) bytes.push(acc & 255);
+
+    const out = new Uint8Array(1 + bytes.length + Math.ceil(bytes.length / 255) + 1);
+    let pos = 0;
+    out[pos++] = minCodeSize;
+    for (let i = 0; i < bytes.length; i += 255) {
+      const block = bytes.slice(i, i + 255);
+      out[pos++] = block.length;
+      out.set(block, pos);
+      pos += block.length;
+    }
+    out[pos++] = 0;
+    return out.subarray(0, pos);
+  },
+};
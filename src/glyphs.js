@@ -0,0 +1,45 @@
+// Piece images and NAG symbols used by the board, move list and exports
+
+export const PIECE_SYMBOLS = {
+  K: '/pieces/wK.svg', Q: '/pieces/wQ.svg', R: '/pieces/wR.svg',
+  B: '/pieces/wB.svg', N: '/pieces/wN.svg', P: '/pieces/wP.svg',
+  k: '/pieces/bK.svg', q: '/pieces/bQ.svg', r: '/pieces/bR.svg',
+  b: '/pieces/bB.svg', n: '/pieces/bN.svg', p: '/pieces/bP.svg'
+};
+
+// Numeric Annotation Glyphs ($1-$255) rendered as symbols
+export const NAG_GLYPHS = {
+  1: { glyph: '!', title: 'Good move', className: 'text-green-400' },
+  2: { glyph: '?', title: 'Mistake', className: 'text-orange-400' },
+  3: { glyph: '!!', title: 'Brilliant move', className: 'text-teal-300' },
+  4: { glyph: '??', title: 'Blunder', className: 'text-red-400' },
+  5: { glyph: '!?', title: 'Interesting move', className: 'text-sky-400' },
+  6: { glyph: '?!', title: 'Dubious move', className: 'text-yellow-400' },
+  7: { glyph: '□', title: 'Forced move', className: 'text-slate-300' },
+  10: { glyph: '=', title: 'Equal position', className: 'text-slate-300' },
+  13: { glyph: '∞', title: 'Unclear position', className: 'text-slate-300' },
+  14: { glyph: '⩲', title: 'White is slightly better', className: 'text-slate-200' },
+  15: { glyph: '⩱', title: 'Black is slightly better', className: 'text-slate-400' },
+  16: { glyph: '±', title: 'White is better', className: 'text-slate-200' },
+  17: { glyph: '∓', title: 'Black is better', className: 'text-slate-400' },
+  18: { glyph: '+−', title: 'White is winning', className: 'text-slate-100' },
+  19: { glyph: '−+', title: 'Black is winning', className: 'text-slate-500' },
+  22: { glyph: '⨀', title: 'White is in zugzwang', className: 'text-slate-300' },
+  23: { glyph: '⨀', title: 'Black is in zugzwang', className: 'text-slate-300' },
+  32: { glyph: '⟳', title: 'White has a development advantage', className: 'text-slate-300' },
+  33: { glyph: '⟳', title: 'Black has a development advantage', className: 'text-slate-300' },
+  36: { glyph: '→', title: 'White has the initiative', className: 'text-slate-300' },
+  37: { glyph: '→', title: 'Black has the initiative', className: 'text-slate-300' },
+  40: { glyph: '↑', title: 'White has the attack', className: 'text-slate-300' },
+  41: { glyph: '↑', title: 'Black has the attack', className: 'text-slate-300' },
+  44: { glyph: '=∞', title: 'White has compensation', className: 'text-slate-300' },
+  45: { glyph: '=∞', title: 'Black has compensation', className: 'text-slate-300' },
+  132: { glyph: '⇆', title: 'White has counterplay', className: 'text-slate-300' },
+  133: { glyph: '⇆', title: 'Black has counterplay', className: 'text-slate-300' },
+  138: { glyph: '⨁', title: 'White is in time trouble', className: 'text-slate-300' },
+  139: { glyph: '⨁', title: 'Black is in time trouble', className: 'text-slate-300' },
+  140: { glyph: '∆', title: 'With the idea', className: 'text-slate-300' },
+  146: { glyph: 'N', title: 'Novelty', className: 'text-slate-300' },
+  220: { glyph: '⊞', title: 'Diagram', className: 'text-slate-300' },
+  221: { glyph: '⊞', title: 'Diagram from Black\'s side', className: 'text-slate-300' },
+};
@@ -0,0 +1,56 @@
+/**
+ * Paths into a game's move tree: [i] is the i-th main-line move and
+ * [i, v, j] the j-th move of variation v on move i. Shared by the viewer
+ * and the embeddable board.
+ */
+
+export function arraysEqual(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((v, i) => v === b[i]);
+}
+
+// Move flattening function - moved outside components
+export const flattenSeq = (seq, prefix = []) => {
+  let out = [];
+  seq.forEach((m, i) => {
+    out.push([...prefix, i]);
+    if (m.variations) {
+      m.variations.forEach((v, j) => {
+        out.push(...flattenSeq(v, [...prefix, i, j]));
+      });
+    }
+  });
+  return out;
+};
+
+// Move at a path such as [i] or [i, variation, j]
+export const getMove = (moves, path) => {
+  let seq = moves;
+  for (let k = 0; k < path.length - 1; k += 2) {
+    seq = seq[path[k]].variations[path[k + 1]];
+  }
+  return seq[path[path.length - 1]];
+};
+
+// Whether `path` points to a move in `moves`
+export const isValidPath = (moves, path) => {
+  let seq = moves;
+  for (let k = 0; k < path.length - 1; k += 2) {
+    seq = seq?.[path[k]]?.variations?.[path[k + 1]];
+  }
+  return path.length > 0 && !!seq?.[path[path.length - 1]];
+};
+
+// Moves (with paths) of the line through `path`, continued to the end of its sequence
+export const getLine = (moves, path) => {
+  const line = [];
+  let seq = moves;
+  let prefix = [];
+  for (let k = 0; k < path.length - 1; k += 2) {
+    for (let i = 0; i < path[k]; i++) line.push({ move: seq[i], path: [...prefix, i] });
+    prefix = [...prefix, path[k], path[k + 1]];
+    seq = seq[path[k]].variations[path[k + 1]];
+  }
+  seq.forEach((move, i) => line.push({ move, path: [...prefix, i] }));
+  return line;
+};
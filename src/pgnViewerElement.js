@@ -0,0 +1,129 @@
+/**
+ * <pgn-viewer> custom element. Renders embed.html in an iframe (so the
+ * viewer's styles never touch the host page) and bridges it to the DOM.
+ *
+ *   <script type="module" src="https://example.org/viewer/pgn-viewer.js"></script>
+ *   <pgn-viewer src="/games/club.pgn" ply="24" orientation="black" theme="light"></pgn-viewer>
+ *   <pgn-viewer>1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 *</pgn-viewer>
+ *
+ * Attributes: pgn (inline text, else the element's text content), src (URL of
+ * a .pgn file), game (0-based index), ply, orientation ('white' | 'black'),
+ * theme ('dark' | 'light'), viewer (URL of embed.html when hosted elsewhere).
+ * Methods: loadPgn(text, {game, ply}), goToPly(n), goToPath(path), selectGame(i).
+ * Events: ready, load (detail.games), movechange (detail: gameIndex, path, ply, san, fen), error.
+ */
+const MESSAGE_SOURCE = 'pgn-viewer';
+
+const DEFAULT_VIEWER_URL = new URL(import.meta.env.DEV ? '/embed.html' : './embed.html', import.meta.url).href;
+
+export class PgnViewerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['pgn', 'src', 'game', 'ply', 'orientation', 'theme'];
+  }
+
+  constructor() {
+    super();
+    this.ready = false;
+    this.queue = [];
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener('message', this.onMessage);
+    if (this.frame) return;
+    const shadow = this.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<style>:host{display:block}iframe{display:block;width:100%;border:0}</style>';
+
+    const url = new URL(this.getAttribute('viewer') || DEFAULT_VIEWER_URL, window.location.href);
+    for (const name of ['ply', 'orientation', 'theme']) {
+      if (this.hasAttribute(name)) url.searchParams.set(name, this.getAttribute(name));
+    }
+
+    this.frame = document.createElement('iframe');
+    this.frame.title = 'PGN viewer';
+    this.frame.style.height = '480px';
+    this.frame.src = url.href;
+    shadow.appendChild(this.frame);
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('message', this.onMessage);
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.frame || oldValue === value) return;
+    if (name === 'pgn') this.loadPgn(value || '');
+    if (name === 'src' && value) this.loadSrc(value);
+    if (name === 'game') this.selectGame(parseInt(value, 10) || 0);
+    if (name === 'ply') this.goToPly(parseInt(value, 10) || 0);
+    if (name === 'orientation' || name === 'theme') this.send({ type: name, value });
+  }
+
+  // Messages wait until the viewer has announced itself
+  send(message) {
+    const data = { source: MESSAGE_SOURCE, ...message };
+    if (this.ready) this.frame.contentWindow.postMessage(data, '*');
+    else this.queue.push(data);
+  }
+
+  loadPgn(pgn, { game = 0, ply = 0 } = {}) {
+    this.send({ type: 'load', pgn, game, ply });
+  }
+
+  async loadSrc(src) {
+    try {
+      const res = await fetch(src);
+      if (!res.ok) throw new Error(`Could not load ${src}`);
+      this.loadPgn(await res.text(), {
+        game: parseInt(this.getAttribute('game'), 10) || 0,
+        ply: parseInt(this.getAttribute('ply'), 10) || 0,
+      });
+    } catch (err) {
+      this.dispatchEvent(new CustomEvent('error', { detail: { message: err.message } }));
+    }
+  }
+
+  goToPly(ply) {
+    this.send({ type: 'goto', ply });
+  }
+
+  goToPath(path) {
+    this.send({ type: 'goto', path });
+  }
+
+  selectGame(index) {
+    this.send({ type: 'game', index });
+  }
+
+  onMessage(ev) {
+    if (!this.frame || ev.source !== this.frame.contentWindow) return;
+    const { source, type, ...detail } = ev.data || {};
+    if (source !== MESSAGE_SOURCE) return;
+
+    if (type === 'ready') {
+      this.ready = true;
+      // Games are fetched here rather than in the iframe, so `src` follows the host page's origin
+      const inline = this.getAttribute('pgn') ?? this.textContent.trim();
+      if (this.hasAttribute('src')) {
+        this.loadSrc(this.getAttribute('src'));
+      } else if (inline) {
+        this.loadPgn(inline, {
+          game: parseInt(this.getAttribute('game'), 10) || 0,
+          ply: parseInt(this.getAttribute('ply'), 10) || 0,
+        });
+      }
+      this.queue.splice(0).forEach(data => this.frame.contentWindow.postMessage(data, '*'));
+      this.dispatchEvent(new CustomEvent('ready'));
+    } else if (type === 'resize') {
+      this.frame.style.height = `${Math.ceil(detail.height)}px`;
+    } else if (type === 'loaded') {
+      this.dispatchEvent(new CustomEvent('load', { detail }));
+    } else {
+      this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+  }
+}
+
+if (!customElements.get('pgn-viewer')) {
+  customElements.define('pgn-viewer', PgnViewerElement);
+}
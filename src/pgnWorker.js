@@ -0,0 +1,56 @@
+/**
+ * Web Worker that streams a PGN File in chunks and posts parsed games
+ * back to the main thread as soon as each batch is complete.
+ */
+import { ChessUtils } from './chessUtils.js';
+
+const CHUNK_SIZE = 512 * 1024;
+
+// Index of the last blank line followed by a tag pair (a new game's tag
+// section), or -1; everything before it can be parsed on its own
+const lastGameBoundary = (buffer) => {
+  const re = /\n[ \t]*\n(?=\s*\[[A-Za-z0-9_]+\s*")/g;
+  let idx = -1, m;
+  while ((m = re.exec(buffer))) idx = m.index;
+  return idx;
+};
+
+self.onmessage = async (ev) => {
+  const { type, file } = ev.data || {};
+  if (type !== 'parse' || !file) return;
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let offset = 0;
+  let gameCount = 0;
+  let lineOffset = 0;
+
+  const emit = (text) => {
+    const diagnostics = [];
+    const games = ChessUtils.parsePGN(text, { diagnostics, gameIndexOffset: gameCount, lineOffset });
+    gameCount += games.length;
+    lineOffset += (text.match(/\n/g) || []).length;
+    self.postMessage({ type: 'games', games, diagnostics, loaded: offset, total: file.size });
+  };
+
+  try {
+    while (offset < file.size) {
+      const end = Math.min(offset + CHUNK_SIZE, file.size);
+      const bytes = await file.slice(offset, end).arrayBuffer();
+      offset = end;
+      buffer += decoder.decode(bytes, { stream: offset < file.size }).replace(/\r/g, '');
+
+      const boundary = lastGameBoundary(buffer);
+      if (boundary > 0) {
+        emit(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary);
+      } else {
+        self.postMessage({ type: 'progress', loaded: offset, total: file.size });
+      }
+    }
+    if (buffer.trim()) emit(buffer);
+    self.postMessage({ type: 'done', count: gameCount });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};
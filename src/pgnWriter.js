@@ -0,0 +1,119 @@
+/**
+ * PGN writer producing export-format PGN: Seven Tag Roster first, escaped
+ * tag values, move numbers that follow the game and its variations, black
+ * continuation numbers (N...) where needed, wrapped movetext and a result.
+ */
+import { ChessUtils } from './chessUtils.js';
+
+export const PgnWriter = {
+  // Export format keeps every line within 80 columns
+  LINE_WIDTH: 79,
+
+  escapeTagValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  },
+
+  // Tag pairs in export order, adding SetUp/FEN for games not starting from the initial position
+  gameHeaders(game) {
+    const headers = { ...(game.headers || {}) };
+    if (game.initialFen && game.initialFen !== ChessUtils.initialFen && !headers.FEN) {
+      headers.SetUp = '1';
+      headers.FEN = game.initialFen;
+    }
+    return ChessUtils.orderedHeaders(headers, game.result);
+  },
+
+  // Comment text split into words so long comments can wrap
+  commentTokens(text) {
+    const words = text.replace(/}/g, ')').split(/\s+/).filter(Boolean);
+    if (!words.length) return [];
+    words[0] = '{' + words[0];
+    words[words.length - 1] += '}';
+    return words;
+  },
+
+  /**
+   * Movetext tokens for a line. Options: `comments`, `variations` and
+   * `clocks` (all default true) control what is written.
+   */
+  sequenceTokens(seq, options = {}) {
+    const { comments = true, variations = true } = options;
+    const out = [];
+    let needNumber = true;
+
+    for (const move of seq) {
+      if (comments && move.commentBefore) {
+        out.push(...this.commentTokens(move.commentBefore));
+        needNumber = true;
+      }
+
+      const number = Math.floor(move.number);
+      if (move.isWhite) out.push(`${number}.`);
+      else if (needNumber) out.push(`${number}...`);
+      out.push(move.san);
+      (move.nags || []).forEach(nag => out.push(`$${nag}`));
+      needNumber = false;
+
+      const comment = ChessUtils.formatComment(move, options);
+      if (comment) {
+        out.push(...this.commentTokens(comment));
+        needNumber = true;
+      }
+
+      for (const variation of variations ? move.variations || [] : []) {
+        const inner = this.sequenceTokens(variation, options);
+        if (!inner.length) continue;
+        inner[0] = '(' + inner[0];
+        inner[inner.length - 1] += ')';
+        out.push(...inner);
+        needNumber = true;
+      }
+    }
+    return out;
+  },
+
+  // Greedy word wrap; a single token longer than the width gets its own line
+  wrap(tokens, width = this.LINE_WIDTH) {
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+      if (line && line.length + 1 + token.length > width) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+  },
+
+  writeGame(game, options = {}) {
+    const headers = this.gameHeaders(game);
+    const result = headers.find(([tag]) => tag === 'Result')[1];
+    const tags = headers.map(([tag, value]) => `[${tag} "${this.escapeTagValue(value)}"]`).join('\n');
+    const movetext = this.wrap([...this.sequenceTokens(game.moves || [], options), result]);
+    return `${tags}\n\n${movetext}\n`;
+  },
+
+  writeGames(games, options = {}) {
+    return games.map(game => this.writeGame(game, options)).join('\n');
+  },
+
+  /**
+   * `text` with the games at `indices` rewritten in place, where `ranges` are
+   * the games' source spans from ChessUtils.parsePGN. Games without a span are
+   * new and go at the end. The rest of the text, including anything the parser
+   * could not read, is kept as written.
+   */
+  spliceGames(text, ranges, games, indices, options = {}) {
+    let out = text.replace(/\r/g, '');
+    const added = [];
+    for (const i of [...indices].sort((a, b) => b - a)) {
+      const written = this.writeGame(games[i], options).trimEnd();
+      if (ranges[i]) out = out.slice(0, ranges[i].start) + written + out.slice(ranges[i].end);
+      else added.unshift(written);
+    }
+    return added.length ? [out.trimEnd(), ...added].filter(Boolean).join('\n\n') + '\n' : out;
+  },
+};
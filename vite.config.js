@@ -5,4 +5,18 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(),tailwindcss()],
+  build: {
+    rollupOptions: {
+      // The app, the embeddable viewer page and the <pgn-viewer> element script
+      input: {
+        main: 'index.html',
+        embed: 'embed.html',
+        'pgn-viewer': 'src/pgnViewerElement.js',
+      },
+      output: {
+        // Host pages load the element from a stable URL next to embed.html
+        entryFileNames: chunk => (chunk.name === 'pgn-viewer' ? 'pgn-viewer.js' : 'assets/[name]-[hash].js'),
+      },
+    },
+  },
 })